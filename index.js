@@ -3,19 +3,45 @@ import express from 'express';
 import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
 import { SessionManager } from './lib/sessions/sessionManager.js';
+import { AuthManager } from './lib/auth/authManager.js';
+import { SocketBridge } from './lib/sockets/socketBridge.js';
 import { createSessionRoutes } from './routes/sessionRoutes.js';
 import { createChatRoutes } from './routes/chatRoutes.js';
 import { createContactRoutes } from './routes/contactRoutes.js';
+import { createWebhookRoutes } from './routes/webhookRoutes.js';
+import { createOutboxRoutes } from './routes/outboxRoutes.js';
+import { createBroadcastRoutes } from './routes/broadcastRoutes.js';
+import { createMessageRoutes } from './routes/messageRoutes.js';
+import { createGroupRoutes } from './routes/groupRoutes.js';
+import { createAdminRoutes } from './routes/adminRoutes.js';
+import { getConfig } from './lib/config/config.js';
+import { getFfmpegPool } from './lib/utils/ffmpegPool.js';
 
+// Validate configuration before anything starts (see lib/config/config.js)
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
 const server = http.createServer(app);
 
-// Enable CORS for all routes
+// CORS for the configured origins (server.corsOrigins, "*" = any)
+const corsOrigins = config.server.corsOrigins;
+const anyOrigin = corsOrigins.includes('*');
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
+  if (anyOrigin) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else {
+    res.header('Vary', 'Origin');
+    if (corsOrigins.includes(req.headers.origin)) res.header('Access-Control-Allow-Origin', req.headers.origin);
+  }
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+  res.header('Access-Control-Expose-Headers', 'X-Cursor-Before, X-Cursor-After, X-Has-More');
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -27,87 +53,98 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 
-// Socket.IO with CORS enabled
+// API key / JWT authentication (see lib/auth/authManager.js)
+const authManager = AuthManager.fromConfig(config);
+
+// Socket.IO with the same CORS origins
 const io = new SocketIOServer(server, {
   cors: {
-    origin: "*",
+    origin: anyOrigin ? "*" : corsOrigins,
     methods: ["GET", "POST"],
     allowedHeaders: ["*"],
     credentials: false
   }
 });
 
-// Initialize session manager
-const sessionManager = new SessionManager();
-
-// Setup routes with io instance
-const sessionRoutes = createSessionRoutes(sessionManager, io);
-const chatRoutes = createChatRoutes(sessionManager, io);
-
-app.use('/api', sessionRoutes);
-app.use('/api', chatRoutes);
-app.use('/api', createContactRoutes(sessionManager));
+io.use(authManager.socketMiddleware());
 
+// Initialize session manager
+const sessionManager = new SessionManager(config);
 
-// Health check
+// Health check (public, registered before the auth middleware)
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
     activeSessions: sessionManager.getAllSessions().length,
-    detectedSessions: sessionManager.detectSessions().length
+    // As of startup or the last session change; null until the first listing finishes
+    detectedSessions: sessionManager.detectedCount,
+    sessionStorage: sessionManager.authStorage.backend,
+    // ffmpeg / ffprobe / pdftoppm as found at startup, and the conversion pool's load
+    mediaTools: getFfmpegPool().capabilities,
+    mediaConversions: getFfmpegPool().stats()
   });
 });
 
-io.on('connection', (socket) => {
-  sessionManager.log('SOCKET', 'Client connected', { socketId: socket.id });
-  
-  // Send current sessions
-  socket.emit('sessions_list', sessionManager.getAllSessions());
-  
-  // Forward ALL session manager events to socket with specific channels
-  sessionManager.on('qr', (data) => {
-    socket.emit(`qr:${data.accountId}:${data.label}`, data);
-    socket.emit('qr', data);
-  });
-  
-  sessionManager.on('status', (data) => {
-    socket.emit(`status:${data.accountId}:${data.label}`, data);
-    socket.emit('status', data);
-  });
-  
-  sessionManager.on('message', (data) => {
-    socket.emit(`message:${data.accountId}:${data.label}`, data);
-    socket.emit('message', data);
-    
-    // Also emit chat-specific events
-    socket.emit(`chat_message:${data.accountId}:${data.label}:${data.message.from}`, data.message);
-    socket.emit(`chat_message:${data.accountId}:${data.label}`, data.message);
-  });
-  
-  sessionManager.on('session_destroyed', (data) => {
-    socket.emit(`session_destroyed:${data.accountId}:${data.label}`, data);
-    socket.emit('session_destroyed', data);
-  });
+app.use('/api', authManager.middleware());
+// Track per-session activity and wake hibernated sessions on demand
+app.use('/api', sessionManager.hibernator.middleware());
 
-  socket.on('disconnect', () => {
-    sessionManager.log('SOCKET', 'Client disconnected', { socketId: socket.id });
-  });
-});
+// Setup routes with io instance
+const sessionRoutes = createSessionRoutes(sessionManager, io, authManager);
+const chatRoutes = createChatRoutes(sessionManager, io);
 
-const PORT = process.env.PORT || 3000;
+const routers = [
+  sessionRoutes,
+  chatRoutes,
+  createMessageRoutes(sessionManager),
+  createGroupRoutes(sessionManager),
+  createContactRoutes(sessionManager),
+  createWebhookRoutes(sessionManager),
+  createOutboxRoutes(sessionManager),
+  createBroadcastRoutes(sessionManager),
+  createAdminRoutes(sessionManager, authManager)
+];
+for (const router of routers) app.use('/api', authManager.guardParams(router));
+
+// Forward session events to Socket.IO rooms (one listener per event, not per socket)
+const socketBridge = new SocketBridge(io, sessionManager, authManager).attach();
+
+const PORT = config.server.port;
+
+// Media conversion tools, checked once in the background: missing ones only disable the
+// features that need them (reported on /api/health)
+async function checkMediaTools() {
+  const tools = await getFfmpegPool().checkCapabilities();
+  sessionManager.log('SYSTEM', 'Media tools checked', {
+    ffmpeg: tools.ffmpeg.version,
+    ffprobe: tools.ffprobe.version,
+    pdftoppm: tools.pdftoppm.version
+  });
+  for (const [tool, { available, path }] of Object.entries(tools)) {
+    if (available === false) sessionManager.log('WARN', `${tool} not available (${path}); conversions that need it will fail`);
+  }
+  const missingEncoders = Object.entries(tools.ffmpeg.encoders || {}).filter(([, present]) => !present).map(([name]) => name);
+  if (missingEncoders.length) sessionManager.log('WARN', 'ffmpeg lacks encoders', { encoders: missingEncoders });
+}
 
 // Auto-restore all sessions when server starts
 async function startServer() {
   try {
     // First start the server
-    server.listen(PORT, () => {
+    server.listen(PORT, async () => {
       sessionManager.log('SYSTEM', `Server running on port ${PORT}`);
-      sessionManager.log('SYSTEM', 'CORS enabled for all origins');
+      sessionManager.log('SYSTEM', anyOrigin ? 'CORS enabled for all origins' : `CORS enabled for: ${corsOrigins.join(', ')}`);
+      if (authManager.disabled) {
+        sessionManager.log('WARN', 'Authentication DISABLED (AUTH_DISABLED) - API is open to anyone');
+      } else if (!authManager.isConfigured()) {
+        sessionManager.log('WARN', 'No API_KEYS/API_KEYS_FILE/JWT_SECRET configured - all API requests will be rejected');
+      }
+      checkMediaTools();
       
       // Then restore all detected sessions
-      const detected = sessionManager.detectSessions();
-      sessionManager.log('SYSTEM', `Detected ${detected.length} sessions in filesystem`, {
+      const detected = await sessionManager.detectSessions();
+      sessionManager.log('SYSTEM', `Detected ${detected.length} sessions in ${sessionManager.authStorage.backend} storage`, {
         sessions: detected.map(s => `${s.accountId}::${s.label}`)
       });
       
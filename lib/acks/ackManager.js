@@ -0,0 +1,179 @@
+import { EventEmitter } from 'events';
+
+// wwebjs MessageAck values
+export const ACK_STATUSES = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+const EARLY_ACK_TTL_MS = 60 * 1000; // acks can arrive before send() resolves
+const HISTORY_RETENTION_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+// Delivery/read receipts for messages sent through ChatManager. Every ack transition
+// is persisted with its time and pushed as an `ack` event.
+export class AckManager extends EventEmitter {
+  constructor(sessionManager) {
+    super();
+    this.sessionManager = sessionManager;
+    this.db = sessionManager.db;
+    this.early = new Map(); // key::messageId -> [{ ack, at }]
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS message_acks (
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        ack INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (account_id, label, message_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS message_ack_history (
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        ack INTEGER NOT NULL,
+        at INTEGER NOT NULL,
+        PRIMARY KEY (account_id, label, message_id, ack)
+      );
+    `);
+
+    sessionManager.on('message_ack', (data) => this.onAck(data));
+
+    this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+    this.earlyTimer = setInterval(() => this.pruneEarly(), EARLY_ACK_TTL_MS);
+    this.earlyTimer.unref();
+  }
+
+  keyOf(accountId, label) {
+    return `${accountId}::${label}`;
+  }
+
+  // Start tracking a message we just sent (output of ChatManager.formatMessage)
+  track(accountId, label, message) {
+    const now = Date.now();
+    try {
+      this.db.prepare(`
+        INSERT OR IGNORE INTO message_acks (account_id, label, message_id, chat_id, ack, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(accountId, label, message.id, message.chatId, message.ack ?? 0, now, now);
+      this.record(accountId, label, message.id, message.ack ?? 0, now);
+
+      const earlyKey = `${this.keyOf(accountId, label)}::${message.id}`;
+      for (const { ack, at } of this.early.get(earlyKey) || []) {
+        this.apply(accountId, label, message.id, ack, at);
+      }
+      this.early.delete(earlyKey);
+    } catch (error) {
+      this.sessionManager.log('ERROR', 'Failed to track message acks', { accountId, label, id: message.id, error: error.message });
+    }
+  }
+
+  onAck({ accountId, label, messageId, ack }) {
+    const tracked = this.db
+      .prepare('SELECT 1 FROM message_acks WHERE account_id = ? AND label = ? AND message_id = ?')
+      .get(accountId, label, messageId);
+
+    if (tracked) return this.apply(accountId, label, messageId, ack, Date.now());
+
+    // Possibly ours, with send() still in flight: hold it briefly (see pruneEarly)
+    const earlyKey = `${this.keyOf(accountId, label)}::${messageId}`;
+    const list = this.early.get(earlyKey) || [];
+    list.push({ ack, at: Date.now() });
+    this.early.set(earlyKey, list);
+  }
+
+  // Drop held acks whose message was never tracked (not sent by us)
+  pruneEarly() {
+    const cutoff = Date.now() - EARLY_ACK_TTL_MS;
+    for (const [earlyKey, list] of this.early) {
+      if (list[0].at < cutoff) this.early.delete(earlyKey);
+    }
+  }
+
+  record(accountId, label, messageId, ack, at) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO message_ack_history (account_id, label, message_id, ack, at) VALUES (?, ?, ?, ?, ?)
+    `).run(accountId, label, messageId, ack, at).changes > 0;
+  }
+
+  // Acks only move forward (pending -> sent -> delivered -> read -> played), except errors
+  apply(accountId, label, messageId, ack, at) {
+    const row = this.db
+      .prepare('SELECT chat_id, ack FROM message_acks WHERE account_id = ? AND label = ? AND message_id = ?')
+      .get(accountId, label, messageId);
+    if (!row) return;
+
+    const isNew = this.record(accountId, label, messageId, ack, at);
+    if (ack > row.ack || ack === -1) {
+      this.db
+        .prepare('UPDATE message_acks SET ack = ?, updated_at = ? WHERE account_id = ? AND label = ? AND message_id = ?')
+        .run(ack, at, accountId, label, messageId);
+    }
+    if (!isNew) return;
+
+    this.sessionManager.emit('ack', {
+      accountId,
+      label,
+      messageId,
+      chatId: row.chat_id,
+      ack,
+      ackStatus: ACK_STATUSES[ack] ?? null,
+      at: new Date(at).toISOString()
+    });
+  }
+
+  getStatus(accountId, label, messageId) {
+    const row = this.db
+      .prepare('SELECT * FROM message_acks WHERE account_id = ? AND label = ? AND message_id = ?')
+      .get(accountId, label, messageId);
+    if (!row) return null;
+
+    const history = this.db
+      .prepare('SELECT ack, at FROM message_ack_history WHERE account_id = ? AND label = ? AND message_id = ? ORDER BY at, ack')
+      .all(accountId, label, messageId)
+      .map(h => ({ ack: h.ack, ackStatus: ACK_STATUSES[h.ack] ?? null, at: new Date(h.at).toISOString() }));
+    // A skipped tick (e.g. straight to read) counts as reached at the later one
+    const reachedAt = (ack) => history.find(h => h.ack >= ack)?.at || null;
+
+    return {
+      messageId,
+      chatId: row.chat_id,
+      ack: row.ack,
+      ackStatus: ACK_STATUSES[row.ack] ?? null,
+      sentAt: reachedAt(1),
+      deliveredAt: reachedAt(2),
+      readAt: reachedAt(3),
+      playedAt: reachedAt(4),
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+      history
+    };
+  }
+
+  prune() {
+    const cutoff = Date.now() - HISTORY_RETENTION_MS;
+    this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM message_ack_history WHERE EXISTS (
+          SELECT 1 FROM message_acks a
+          WHERE a.account_id = message_ack_history.account_id AND a.label = message_ack_history.label
+            AND a.message_id = message_ack_history.message_id AND a.updated_at < ?
+        )
+      `).run(cutoff);
+      this.db.prepare('DELETE FROM message_acks WHERE updated_at < ?').run(cutoff);
+    })();
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+    clearInterval(this.earlyTimer);
+  }
+}
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { getConfig } from '../config/config.js';
+import { sessionOfPath } from '../utils/sessionPath.js';
+
+export class AuthManager {
+  constructor({ apiKeys = [], jwtSecret = null, disabled = false } = {}) {
+    this.disabled = disabled;
+    this.jwtSecret = jwtSecret;
+    // Keys are kept hashed so lookups can use a constant-time compare
+    this.apiKeys = apiKeys
+      .filter(k => k && k.key)
+      .map((k, i) => ({
+        id: k.id || `key-${i + 1}`,
+        hash: this.hash(k.key),
+        accounts: this.normalizeList(k.accounts, ['*']),
+        labels: this.normalizeList(k.labels, null)
+      }));
+  }
+
+  static fromConfig(config = getConfig()) {
+    const { apiKeys, jwtSecret, disabled } = config.auth;
+    return new AuthManager({ apiKeys, jwtSecret, disabled });
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+  }
+
+  normalizeList(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(String);
+  }
+
+  isConfigured() {
+    return this.apiKeys.length > 0 || !!this.jwtSecret;
+  }
+
+  // Resolve a bearer token / API key to a principal, or null if invalid
+  authenticate(token) {
+    if (this.disabled) return { id: 'anonymous', type: 'none', accounts: ['*'], labels: null };
+    if (!token) return null;
+
+    const hashed = this.hash(token);
+    const key = this.apiKeys.find(k => crypto.timingSafeEqual(k.hash, hashed));
+    if (key) return { id: key.id, type: 'api_key', accounts: key.accounts, labels: key.labels };
+
+    if (this.jwtSecret && token.split('.').length === 3) {
+      const claims = this.verifyJwt(token);
+      if (claims) {
+        return {
+          id: claims.sub || 'jwt',
+          type: 'jwt',
+          accounts: this.normalizeList(claims.accounts, []),
+          labels: this.normalizeList(claims.labels, null)
+        };
+      }
+    }
+    return null;
+  }
+
+  // HS256 only; returns claims or null
+  verifyJwt(token) {
+    const [header64, payload64, signature64] = token.split('.');
+    try {
+      const header = JSON.parse(Buffer.from(header64, 'base64url').toString('utf8'));
+      if (header.alg !== 'HS256') return null;
+
+      const expected = crypto
+        .createHmac('sha256', this.jwtSecret)
+        .update(`${header64}.${payload64}`)
+        .digest();
+      const actual = Buffer.from(signature64, 'base64url');
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+      const claims = JSON.parse(Buffer.from(payload64, 'base64url').toString('utf8'));
+      const now = Math.floor(Date.now() / 1000);
+      if (typeof claims.exp === 'number' && now >= claims.exp) return null;
+      if (typeof claims.nbf === 'number' && now < claims.nbf) return null;
+      return claims;
+    } catch {
+      return null;
+    }
+  }
+
+  allows(principal, accountId, label) {
+    if (!principal) return false;
+    const accountOk = principal.accounts.includes('*') || principal.accounts.includes(String(accountId));
+    if (!accountOk) return false;
+    if (!principal.labels || principal.labels.includes('*')) return true;
+    // A label-restricted credential is not let through by leaving the label out
+    if (label === undefined || label === null) return false;
+    return principal.labels.includes(String(label));
+  }
+
+  // Unrestricted credentials (every account, every label) may use /api/admin
+  isAdmin(principal) {
+    if (!principal || !principal.accounts.includes('*')) return false;
+    return !principal.labels || principal.labels.includes('*');
+  }
+
+  // Express middleware for admin-only routers
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!this.isAdmin(req.auth)) return res.status(403).json({ error: 'Admin credential required' });
+      next();
+    };
+  }
+
+  // Keep only entries ({ accountId, label }) the principal may see
+  filterSessions(principal, sessions) {
+    return sessions.filter(s => this.allows(principal, s.accountId, s.label));
+  }
+
+  extractToken(headers = {}, query = {}) {
+    const authorization = headers.authorization || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) return authorization.slice(7).trim();
+    if (headers['x-api-key']) return String(headers['x-api-key']);
+    // Allows <img>/<audio> tags to load media URLs, which cannot set headers
+    if (query.access_token) return String(query.access_token);
+    return null;
+  }
+
+  // Express middleware: authenticates and enforces account/label scope
+  middleware() {
+    return (req, res, next) => {
+      const principal = this.authenticate(this.extractToken(req.headers, req.query));
+      if (!principal) return res.status(401).json({ error: 'Unauthorized' });
+      req.auth = principal;
+
+      // A session path that cannot be read is refused rather than let through unchecked
+      let session;
+      try {
+        session = sessionOfPath(req.path);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      const accountId = session ? session.accountId : req.body?.accountId ?? req.query?.accountId;
+      const label = session ? session.label : req.body?.label ?? req.query?.label;
+
+      if (accountId !== undefined && !this.allows(principal, accountId, label)) {
+        return res.status(403).json({ error: 'Forbidden for this account' });
+      }
+      next();
+    };
+  }
+
+  // Checks the scope again on the parameters a route actually matched, so a path the
+  // middleware read differently cannot reach another account's session
+  guardParams(router) {
+    router.param('label', (req, res, next) => {
+      if (!this.allows(req.auth, req.params.accountId, req.params.label)) {
+        return res.status(403).json({ error: 'Forbidden for this account' });
+      }
+      next();
+    });
+    return router;
+  }
+
+  // Socket.IO io.use() handshake handler
+  socketMiddleware() {
+    return (socket, next) => {
+      const { auth = {}, headers = {}, query = {} } = socket.handshake;
+      const token = auth.token || this.extractToken(headers, query);
+      const principal = this.authenticate(token);
+      if (!principal) return next(new Error('Unauthorized'));
+      socket.data.auth = principal;
+      next();
+    };
+  }
+}
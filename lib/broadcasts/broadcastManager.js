@@ -0,0 +1,312 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { NUMBER_COLUMNS } from '../utils/csv.js';
+
+const MAX_RECIPIENTS = 5000;
+const FINAL_STATUSES = ['sent', 'failed', 'unregistered', 'invalid', 'cancelled'];
+// Lowercased recipient columns, by preference; the rest of a row are template fields
+const RECIPIENT_COLUMNS = ['chatid', ...NUMBER_COLUMNS];
+
+// Sends one templated text to many recipients. Each recipient is validated with
+// ContactsManager.lookupNumber, then handed to the outbox, which does the pacing.
+export class BroadcastManager extends EventEmitter {
+  constructor(sessionManager) {
+    super();
+    this.sessionManager = sessionManager;
+    this.db = sessionManager.db;
+    this.running = new Set(); // broadcast IDs currently validating
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS broadcasts (
+        id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        template TEXT NOT NULL,
+        send_at INTEGER,
+        status TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_broadcasts_session ON broadcasts(account_id, label, created_at);
+
+      CREATE TABLE IF NOT EXISTS broadcast_recipients (
+        broadcast_id TEXT NOT NULL REFERENCES broadcasts(id) ON DELETE CASCADE,
+        idx INTEGER NOT NULL,
+        input TEXT NOT NULL,
+        fields TEXT NOT NULL,
+        chat_id TEXT,
+        status TEXT NOT NULL,
+        job_id TEXT,
+        message_id TEXT,
+        error TEXT,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (broadcast_id, idx)
+      );
+      CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_job ON broadcast_recipients(job_id);
+    `);
+
+    // Follow outbox jobs to completion
+    sessionManager.on('outbox', ({ job }) => this.onJobUpdate(job));
+
+    // Validation needs a live session; pick up where we left off once it is ready
+    sessionManager.on('status', ({ accountId, label, status }) => {
+      if (status === 'ready') this.resume(accountId, label);
+    });
+  }
+
+  // Replace {{name}} / {{ name | fallback }} with fields (keys lowercased, so names match in
+  // any case); unknown names use the fallback or ''
+  render(template, fields) {
+    return template.replace(/\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g, (_, name, fallback) => {
+      const value = fields[name.toLowerCase()];
+      return value !== undefined && value !== null && value !== '' ? String(value) : (fallback ?? '').trim();
+    });
+  }
+
+  // recipients: strings (number or chat ID) or objects with a chatId or number column (see
+  // RECIPIENT_COLUMNS) plus template fields. Keys are matched in any case: `Name` fills {{name}}.
+  normalizeRecipient(entry) {
+    if (typeof entry === 'string' || typeof entry === 'number') {
+      return { input: String(entry).trim(), fields: {} };
+    }
+    const columns = {};
+    const fields = {};
+    for (const [key, value] of Object.entries(entry || {})) {
+      const column = key.trim().toLowerCase();
+      if (RECIPIENT_COLUMNS.includes(column)) columns[column] ??= value;
+      else fields[column] ??= value;
+    }
+    const input = RECIPIENT_COLUMNS.map(column => columns[column]).find(Boolean);
+    return { input: String(input || '').trim(), fields };
+  }
+
+  create(accountId, label, { template, recipients, sendAt } = {}) {
+    if (!template || !String(template).trim()) throw new Error('template is required');
+    if (!Array.isArray(recipients) || !recipients.length) throw new Error('recipients must be a non-empty array');
+    if (recipients.length > MAX_RECIPIENTS) throw new Error(`At most ${MAX_RECIPIENTS} recipients per broadcast`);
+
+    const outbox = this.sessionManager.getOutboxManager();
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    const sendAtMs = sendAt ? outbox.parseSendAt(sendAt) : null;
+
+    const insertRecipient = this.db.prepare(`
+      INSERT INTO broadcast_recipients (broadcast_id, idx, input, fields, status, error, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO broadcasts (id, account_id, label, template, send_at, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, 'validating', ?, ?)
+      `).run(id, accountId, label, String(template), sendAtMs, now, now);
+
+      recipients.forEach((entry, idx) => {
+        const { input, fields } = this.normalizeRecipient(entry);
+        const valid = !!input;
+        insertRecipient.run(id, idx, input, JSON.stringify(fields), valid ? 'pending' : 'invalid',
+          valid ? null : 'Missing number or chatId', now);
+      });
+    })();
+
+    this.sessionManager.log('BROADCAST', 'Broadcast created', { accountId, label, id, recipients: recipients.length });
+    this.run(id);
+    return this.getReport(accountId, label, id);
+  }
+
+  resume(accountId, label) {
+    this.db
+      .prepare("SELECT id FROM broadcasts WHERE account_id = ? AND label = ? AND status = 'validating'")
+      .all(accountId, label)
+      .forEach(({ id }) => this.run(id));
+  }
+
+  // Validate pending recipients one by one and queue their messages
+  async run(broadcastId) {
+    if (this.running.has(broadcastId)) return;
+    this.running.add(broadcastId);
+
+    try {
+      const broadcast = this.db.prepare('SELECT * FROM broadcasts WHERE id = ?').get(broadcastId);
+      if (!broadcast || broadcast.status !== 'validating') return;
+
+      const { account_id: accountId, label } = broadcast;
+      const key = this.sessionManager.keyOf(accountId, label);
+      const contacts = this.sessionManager.getContactsManager();
+      const outbox = this.sessionManager.getOutboxManager();
+      const pending = this.db
+        .prepare("SELECT * FROM broadcast_recipients WHERE broadcast_id = ? AND status = 'pending' ORDER BY idx")
+        .all(broadcastId);
+
+      for (const recipient of pending) {
+        // Stop when the session drops or the broadcast is cancelled; resume() picks it up later
+        if (this.sessionManager.states.get(key) !== 'ready') return;
+        if (!this.isValidating(broadcastId)) return;
+
+        await this.queueRecipient(broadcast, recipient, contacts, outbox);
+      }
+
+      // Only if nobody cancelled it meanwhile
+      this.db
+        .prepare("UPDATE broadcasts SET status = 'sending', updated_at = ? WHERE id = ? AND status = 'validating'")
+        .run(Date.now(), broadcastId);
+      this.refresh(broadcastId);
+    } catch (error) {
+      this.sessionManager.log('ERROR', 'Broadcast processing failed', { broadcastId, error: error.message });
+    } finally {
+      this.running.delete(broadcastId);
+    }
+  }
+
+  isValidating(broadcastId) {
+    return this.db.prepare('SELECT status FROM broadcasts WHERE id = ?').get(broadcastId)?.status === 'validating';
+  }
+
+  async queueRecipient(broadcast, recipient, contacts, outbox) {
+    const { account_id: accountId, label } = broadcast;
+    const fields = JSON.parse(recipient.fields);
+
+    let chatId = null;
+    const values = { ...fields };
+
+    try {
+      if (/@g\.us$/.test(recipient.input)) {
+        // Groups can't be looked up by number; send as given
+        chatId = recipient.input;
+      } else {
+        const number = recipient.input.replace(/@c\.us$/, '');
+        const lookup = await contacts.lookupNumber(accountId, label, number);
+        // cancel() may have run during the lookup; it has already settled this recipient
+        if (!this.isValidating(broadcast.id)) return;
+        if (!lookup.isRegistered) {
+          return this.updateRecipient(broadcast.id, recipient.idx, { status: 'unregistered', error: 'Number is not on WhatsApp' });
+        }
+        chatId = lookup.wid._serialized;
+        values.number ||= lookup.wid.user;
+        values.name ||= lookup.contact?.name || lookup.contact?.pushname || '';
+        values.pushname ||= lookup.contact?.pushname || '';
+      }
+
+      const content = this.render(broadcast.template, values);
+      if (!content.trim()) {
+        return this.updateRecipient(broadcast.id, recipient.idx, { status: 'invalid', chat_id: chatId, error: 'Rendered message is empty' });
+      }
+
+      const job = outbox.enqueue(accountId, label, chatId, 'text', { content }, { sendAt: broadcast.send_at ?? undefined });
+      this.updateRecipient(broadcast.id, recipient.idx, { status: 'queued', chat_id: chatId, job_id: job.id, error: null });
+    } catch (error) {
+      if (!this.isValidating(broadcast.id)) return;
+      const status = error.message === 'Invalid number' ? 'invalid' : 'failed';
+      this.updateRecipient(broadcast.id, recipient.idx, { status, chat_id: chatId, error: error.message });
+    }
+  }
+
+  updateRecipient(broadcastId, idx, fields) {
+    const sets = Object.keys(fields).map(k => `${k} = @${k}`);
+    this.db
+      .prepare(`UPDATE broadcast_recipients SET ${sets.join(', ')}, updated_at = @updated_at WHERE broadcast_id = @broadcastId AND idx = @idx`)
+      .run({ ...fields, broadcastId, idx, updated_at: Date.now() });
+  }
+
+  setStatus(broadcastId, status) {
+    this.db.prepare('UPDATE broadcasts SET status = ?, updated_at = ? WHERE id = ?').run(status, Date.now(), broadcastId);
+  }
+
+  onJobUpdate(job) {
+    if (!['sent', 'failed', 'cancelled'].includes(job.status)) return;
+    const recipient = this.db
+      .prepare('SELECT broadcast_id, idx FROM broadcast_recipients WHERE job_id = ?')
+      .get(job.id);
+    if (!recipient) return;
+
+    this.updateRecipient(recipient.broadcast_id, recipient.idx, {
+      status: job.status,
+      message_id: job.result?.id || null,
+      error: job.error || null
+    });
+    this.refresh(recipient.broadcast_id);
+  }
+
+  // Mark complete once every recipient is final, and push progress
+  refresh(broadcastId) {
+    const broadcast = this.db.prepare('SELECT * FROM broadcasts WHERE id = ?').get(broadcastId);
+    if (!broadcast) return;
+
+    const counts = this.countsOf(broadcastId);
+    const open = Object.entries(counts).some(([status, n]) => n > 0 && !FINAL_STATUSES.includes(status));
+    if (broadcast.status === 'sending' && !open) this.setStatus(broadcastId, 'completed');
+
+    const report = this.getReport(broadcast.account_id, broadcast.label, broadcastId, { includeRecipients: false });
+    this.sessionManager.emit('broadcast', { accountId: broadcast.account_id, label: broadcast.label, broadcast: report });
+  }
+
+  countsOf(broadcastId) {
+    const counts = {};
+    this.db
+      .prepare('SELECT status, COUNT(*) AS n FROM broadcast_recipients WHERE broadcast_id = ? GROUP BY status')
+      .all(broadcastId)
+      .forEach(({ status, n }) => { counts[status] = n; });
+    return counts;
+  }
+
+  getReport(accountId, label, broadcastId, { includeRecipients = true } = {}) {
+    const broadcast = this.db
+      .prepare('SELECT * FROM broadcasts WHERE id = ? AND account_id = ? AND label = ?')
+      .get(broadcastId, accountId, label);
+    if (!broadcast) return null;
+
+    const report = {
+      id: broadcast.id,
+      accountId,
+      label,
+      status: broadcast.status,
+      template: broadcast.template,
+      sendAt: broadcast.send_at ? new Date(broadcast.send_at).toISOString() : null,
+      counts: this.countsOf(broadcastId),
+      createdAt: new Date(broadcast.created_at).toISOString(),
+      updatedAt: new Date(broadcast.updated_at).toISOString()
+    };
+
+    if (includeRecipients) {
+      report.recipients = this.db
+        .prepare('SELECT * FROM broadcast_recipients WHERE broadcast_id = ? ORDER BY idx')
+        .all(broadcastId)
+        .map(r => ({
+          input: r.input,
+          chatId: r.chat_id,
+          status: r.status,
+          jobId: r.job_id,
+          messageId: r.message_id,
+          error: r.error
+        }));
+    }
+    return report;
+  }
+
+  list(accountId, label, { limit = 50 } = {}) {
+    const capped = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    return this.db
+      .prepare('SELECT id FROM broadcasts WHERE account_id = ? AND label = ? ORDER BY created_at DESC LIMIT ?')
+      .all(accountId, label, capped)
+      .map(({ id }) => this.getReport(accountId, label, id, { includeRecipients: false }));
+  }
+
+  // Stop validating and cancel every queued message that has not been sent yet
+  cancel(accountId, label, broadcastId) {
+    const report = this.getReport(accountId, label, broadcastId, { includeRecipients: false });
+    if (!report) return null;
+
+    this.setStatus(broadcastId, 'cancelled');
+    const outbox = this.sessionManager.getOutboxManager();
+    this.db
+      .prepare("SELECT idx, job_id FROM broadcast_recipients WHERE broadcast_id = ? AND status IN ('pending', 'queued')")
+      .all(broadcastId)
+      .forEach(({ idx, job_id }) => {
+        if (job_id) {
+          try { outbox.cancelJob(accountId, label, job_id); } catch { return; } // already sending
+        }
+        this.updateRecipient(broadcastId, idx, { status: 'cancelled' });
+      });
+
+    return this.getReport(accountId, label, broadcastId, { includeRecipients: false });
+  }
+}
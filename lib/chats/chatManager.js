@@ -1,9 +1,16 @@
 import { EventEmitter } from 'events';
+import fs from 'fs';
 import wwebjs from 'whatsapp-web.js';
 import { MediaConverter } from '../utils/mediaConverter.js';
+import { ACK_STATUSES } from '../acks/ackManager.js';
+import { codedError } from '../utils/errors.js';
 
 const { MessageMedia } = wwebjs;
 
+const MAX_FETCH_WINDOW = 2000; // largest fetchMessages() window used for history backfill
+const EDIT_WINDOW_SECONDS = 15 * 60;
+const PRESENCE_REFRESH_MS = 20000;
+
 export class ChatManager extends EventEmitter {
   constructor(sessionManager) {
     super();
@@ -32,6 +39,10 @@ export class ChatManager extends EventEmitter {
         isReadOnly: chat.isReadOnly,
         unreadCount: chat.unreadCount,
         timestamp: chat.timestamp,
+        archived: !!chat.archived,
+        pinned: !!chat.pinned,
+        isMuted: !!chat.isMuted,
+        muteExpiration: chat.muteExpiration || null,
         lastMessage: chat.lastMessage ? {
           id: chat.lastMessage.id._serialized,
           body: chat.lastMessage.body,
@@ -42,6 +53,9 @@ export class ChatManager extends EventEmitter {
         } : null
       }));
 
+      // Keep chat names for search
+      this.sessionManager.messageStore.saveChats(accountId, label, formattedChats);
+
       // Store in cache
       this.chats.set(key, { 
         chats: formattedChats,
@@ -85,25 +99,186 @@ export class ChatManager extends EventEmitter {
     }
   }
 
-  async getMessages(accountId, label, chatId, limit = 50) {
+  // --- Chat state ---
+
+  async resolveChat(accountId, label, chatId) {
+    const client = this.sessionManager.clients.get(this.keyOf(accountId, label));
+    if (!client) throw new Error('Session not found');
+    try {
+      return await client.getChatById(chatId);
+    } catch (error) {
+      throw codedError(`Chat ${chatId} not found: ${error.message}`, 'CHAT_NOT_FOUND');
+    }
+  }
+
+  async markSeen(accountId, label, chatId) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    await chat.sendSeen();
+    return { chatId, unreadCount: 0 };
+  }
+
+  async markUnread(accountId, label, chatId) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    await chat.markUnread();
+    return { chatId, markedUnread: true };
+  }
+
+  async setArchived(accountId, label, chatId, archived) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    if (archived) await chat.archive();
+    else await chat.unarchive();
+    return { chatId, archived };
+  }
+
+  async setPinned(accountId, label, chatId, pinned) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    const ok = pinned ? await chat.pin() : await chat.unpin();
+    // WhatsApp allows only a few pinned chats; pin() resolves false when full
+    if (pinned && ok === false) throw codedError('Could not pin chat (pinned chat limit reached?)', 'ACTION_REJECTED');
+    return { chatId, pinned };
+  }
+
+  // until: Date, or null to mute forever
+  async mute(accountId, label, chatId, until = null) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    await chat.mute(until || undefined);
+    return { chatId, isMuted: true, muteExpiration: until ? until.toISOString() : null };
+  }
+
+  async unmute(accountId, label, chatId) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    await chat.unmute();
+    return { chatId, isMuted: false };
+  }
+
+  async clearChat(accountId, label, chatId) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    const ok = await chat.clearMessages();
+    if (ok === false) throw codedError('WhatsApp refused to clear this chat', 'ACTION_REJECTED');
+    return { chatId, cleared: true };
+  }
+
+  async deleteChat(accountId, label, chatId) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    const ok = await chat.delete();
+    if (ok === false) throw codedError('WhatsApp refused to delete this chat', 'ACTION_REJECTED');
+    return { chatId, deleted: true };
+  }
+
+  // state: typing | recording | paused (clears it)
+  async sendPresence(accountId, label, chatId, state) {
+    const chat = await this.resolveChat(accountId, label, chatId);
+    if (state === 'typing') await chat.sendStateTyping();
+    else if (state === 'recording') await chat.sendStateRecording();
+    else if (state === 'paused') await chat.clearState();
+    else throw codedError('state must be typing, recording or paused', 'ACTION_REJECTED');
+    return { chatId, state };
+  }
+
+  // Show typing/recording while fn runs (WhatsApp drops the state after ~25s, so refresh it)
+  async withPresence(chat, state, fn) {
+    const send = () => (state === 'recording' ? chat.sendStateRecording() : chat.sendStateTyping()).catch(() => {});
+    send();
+    const refresh = setInterval(send, PRESENCE_REFRESH_MS);
+    try {
+      return await fn();
+    } finally {
+      clearInterval(refresh);
+      chat.clearState().catch(() => {});
+    }
+  }
+
+  // Served from the local message store. The latest page is refreshed from WhatsApp when the
+  // session is live; older pages backfill from WhatsApp only when the store runs short.
+  async getMessages(accountId, label, chatId, { limit = 50, before, after } = {}) {
     const key = this.keyOf(accountId, label);
     const client = this.sessionManager.clients.get(key);
-    
-    if (!client) {
-      throw new Error('Session not found');
-    }
+    const store = this.sessionManager.messageStore;
 
     try {
-      const chat = await client.getChatById(chatId);
-      const messages = await chat.fetchMessages({ limit });
-      
-      return messages.map(message => this.formatMessage(message));
+      if (client && !before && !after) {
+        await this.fetchIntoStore(accountId, label, client, chatId, limit);
+      }
+
+      let page = store.page(accountId, label, chatId, { limit, before, after });
+
+      if (client && before && page.messages.length < limit) {
+        // fetchMessages only returns the latest N, so widen the window past what we hold
+        const window = Math.min(store.countChat(accountId, label, chatId) + limit, MAX_FETCH_WINDOW);
+        await this.fetchIntoStore(accountId, label, client, chatId, window);
+        page = store.page(accountId, label, chatId, { limit, before, after });
+      }
+
+      if (!client && !page.messages.length && !before && !after) {
+        throw new Error('Session not found');
+      }
+
+      return page;
     } catch (error) {
+      if (error.code === 'INVALID_CURSOR') throw error;
       throw new Error(`Failed to get messages: ${error.message}`);
     }
   }
 
-  async sendMessage(accountId, label, chatId, content) {
+  async fetchIntoStore(accountId, label, client, chatId, limit) {
+    const chat = await client.getChatById(chatId);
+    const messages = await chat.fetchMessages({ limit });
+    const formatted = messages.map(message => this.formatMessage(message));
+    this.sessionManager.messageStore.saveMany(accountId, label, formatted);
+    return formatted;
+  }
+
+  // Pull recent history for the most recent chats into the store (runs after `ready`)
+  async backfillHistory(accountId, label, { perChat = 50, maxChats = 100 } = {}) {
+    const key = this.keyOf(accountId, label);
+    const client = this.sessionManager.clients.get(key);
+    if (!client) throw new Error('Session not found');
+
+    const allChats = await client.getChats();
+    this.sessionManager.messageStore.saveChats(accountId, label, allChats.map(chat => ({
+      id: chat.id._serialized,
+      name: chat.name,
+      isGroup: chat.isGroup
+    })));
+
+    const chats = allChats
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+      .slice(0, maxChats);
+
+    let stored = 0;
+    for (const chat of chats) {
+      // Session may have gone away mid-backfill
+      if (this.sessionManager.clients.get(key) !== client) break;
+      try {
+        const messages = await chat.fetchMessages({ limit: perChat });
+        const formatted = messages.map(message => this.formatMessage(message));
+        this.sessionManager.messageStore.saveMany(accountId, label, formatted);
+        stored += formatted.length;
+      } catch (error) {
+        this.sessionManager.log('WARN', 'History backfill failed for chat', {
+          accountId, label, chatId: chat.id._serialized, error: error.message
+        });
+      }
+    }
+
+    this.sessionManager.log('STORE', `Backfilled history for ${accountId}::${label}`, { chats: chats.length, messages: stored });
+    return { chats: chats.length, messages: stored };
+  }
+
+  // Full-text search over the local message store (works without a live session)
+  search(accountId, label, q, filters = {}) {
+    return this.sessionManager.messageStore.search(accountId, label, q, filters);
+  }
+
+  // Format a message we just sent and start tracking its delivery/read receipts
+  trackSent(accountId, label, message) {
+    const formatted = this.formatMessage(message);
+    this.sessionManager.getAckManager().track(accountId, label, formatted);
+    return formatted;
+  }
+
+  // options: wwebjs send options, e.g. { quotedMessageId } to reply
+  async sendMessage(accountId, label, chatId, content, options = {}) {
     const key = this.keyOf(accountId, label);
     const client = this.sessionManager.clients.get(key);
     
@@ -113,14 +288,19 @@ export class ChatManager extends EventEmitter {
 
     try {
       const chat = await client.getChatById(chatId);
-      const message = await chat.sendMessage(content);
-      return this.formatMessage(message);
+      const message = await chat.sendMessage(content, options);
+      return this.trackSent(accountId, label, message);
     } catch (error) {
       throw new Error(`Failed to send message: ${error.message}`);
     }
   }
 
-  async sendMedia(accountId, label, chatId, mediaData) {
+  // mediaData: { mimetype, filename, caption, data (base64) | path } plus how to send it:
+  //   default         images as JPEG, videos as H.264/AAC MP4 (see MediaConverter)
+  //   sendAsDocument  the file as it is, as a document
+  //   sendAsSticker   images/videos as a WebP sticker (stickerName, stickerAuthor; no caption)
+  // signal: aborts a running conversion (e.g. the uploading client went away)
+  async sendMedia(accountId, label, chatId, mediaData, options = {}, { signal } = {}) {
     const key = this.keyOf(accountId, label);
     const client = this.sessionManager.clients.get(key);
     
@@ -128,32 +308,54 @@ export class ChatManager extends EventEmitter {
       throw new Error('Session not found');
     }
 
+    const { mimetype } = mediaData;
+    if (mediaData.sendAsSticker && !/^(image|video)\//.test(mimetype)) {
+      throw codedError('Stickers can only be made from images and videos', 'INVALID_MEDIA');
+    }
+
     try {
       let finalMediaData = mediaData;
-      
-      // Convert images to JPEG for better WhatsApp compatibility
-      if (mediaData.mimetype.startsWith('image/') && !mediaData.mimetype.includes('jpeg')) {
-        finalMediaData = await MediaConverter.ensureWhatsAppImageFormat(mediaData.data, mediaData.mimetype);
+      const sendOptions = { ...options };
+      const input = mediaData.path ? { path: mediaData.path } : mediaData.data;
+
+      if (mediaData.sendAsSticker) {
+        finalMediaData = await MediaConverter.convertToSticker(input, mimetype, { signal });
+        Object.assign(sendOptions, {
+          sendMediaAsSticker: true,
+          stickerName: mediaData.stickerName || undefined,
+          stickerAuthor: mediaData.stickerAuthor || undefined
+        });
+      } else if (mediaData.sendAsDocument) {
+        sendOptions.sendMediaAsDocument = true;
+      } else if (mimetype.startsWith('image/') && !mimetype.includes('jpeg')) {
+        // Convert images to JPEG for better WhatsApp compatibility
+        finalMediaData = await MediaConverter.ensureWhatsAppImageFormat(input, mimetype, { signal });
+      } else if (mimetype.startsWith('video/')) {
+        // HEVC/MOV/WebM clips do not play on many phones
+        finalMediaData = await MediaConverter.ensureWhatsAppVideoFormat(input, mimetype, mediaData.filename, { signal }) || mediaData;
       }
       
+      // mediaData carries base64 `data` or the `path` of a spooled upload; wwebjs needs
+      // base64, so a file is read only here, once
       const media = new MessageMedia(
         finalMediaData.mimetype, 
-        finalMediaData.data,
+        finalMediaData.data ?? await fs.promises.readFile(finalMediaData.path, 'base64'),
         finalMediaData.filename
       );
       
       const chat = await client.getChatById(chatId);
-      const options = mediaData.caption ? { caption: mediaData.caption } : {};
-      const message = await chat.sendMessage(media, options);
+      if (mediaData.caption && !mediaData.sendAsSticker) sendOptions.caption = mediaData.caption;
+      const message = await chat.sendMessage(media, sendOptions);
       
-      return this.formatMessage(message);
+      return this.trackSent(accountId, label, message);
     } catch (error) {
       console.error('Media send error:', error);
-      throw new Error(`Failed to send media: ${error.message}`);
+      throw codedError(`Failed to send media: ${error.message}`, error.code);
     }
   }
 
-  async sendVoiceNote(accountId, label, chatId, audioData, originalMime = 'audio/webm') {
+  // audioData: base64, or { path } of an audio file on disk; signal as for sendMedia
+  async sendVoiceNote(accountId, label, chatId, audioData, originalMime = 'audio/webm', { signal } = {}) {
     const key = this.keyOf(accountId, label);
     const client = this.sessionManager.clients.get(key);
     
@@ -162,10 +364,15 @@ export class ChatManager extends EventEmitter {
     }
 
     try {
-      console.log(`Starting voice note conversion for ${accountId}::${label}, size: ${audioData?.length || 0} chars, mime: ${originalMime}`);
+      const inputSize = audioData?.path ? 'spooled file' : `${audioData?.length || 0} chars`;
+      console.log(`Starting voice note conversion for ${accountId}::${label}, size: ${inputSize}, mime: ${originalMime}`);
       
-      // Convert to WhatsApp-compatible Opus-in-Ogg PTT
-      const convertedAudio = await MediaConverter.convertAudioToWhatsAppFormat(audioData, originalMime);
+      const chat = await client.getChatById(chatId);
+
+      // Convert to WhatsApp-compatible Opus-in-Ogg PTT; the recipient sees "recording audio..." meanwhile
+      const convertedAudio = await this.withPresence(chat, 'recording', () => (
+        MediaConverter.convertAudioToWhatsAppFormat(audioData, originalMime, { signal })
+      ));
       
       console.log(`Voice note converted successfully, size: ${convertedAudio.data.length} chars`);
       
@@ -176,7 +383,6 @@ export class ChatManager extends EventEmitter {
         convertedAudio.filename
       );
       
-      const chat = await client.getChatById(chatId);
       console.log(`Sending voice note to chat: ${chatId}`);
       
       const message = await chat.sendMessage(audio, {
@@ -184,7 +390,7 @@ export class ChatManager extends EventEmitter {
       });
       
       console.log(`Voice note sent successfully, message ID: ${message.id._serialized}`);
-      return this.formatMessage(message);
+      return this.trackSent(accountId, label, message);
     } catch (error) {
       console.error('Voice note send error details:', {
         accountId,
@@ -192,12 +398,25 @@ export class ChatManager extends EventEmitter {
         chatId,
         error: error.message
       });
-      throw new Error(`Failed to send voice note: ${error.message}`);
+      throw codedError(`Failed to send voice note: ${error.message}`, error.code);
     }
   }
 
   // FIXED: Much faster and more reliable media download
   async downloadMedia(accountId, label, messageId) {
+    try {
+      const message = await this.findMessage(accountId, label, messageId);
+      return await this.downloadMessageMedia(message, messageId);
+    } catch (error) {
+      if (error.message === 'Session not found') throw error;
+      console.error('Media download error:', error);
+      throw new Error(`Failed to download media: ${error.message}`);
+    }
+  }
+
+  // Resolve a wwebjs Message by ID: direct lookup, then the chat it belongs to with growing
+  // windows, then (for messages not in the store) a scan of recent messages in every chat
+  async findMessage(accountId, label, messageId) {
     const key = this.keyOf(accountId, label);
     const client = this.sessionManager.clients.get(key);
     
@@ -205,67 +424,125 @@ export class ChatManager extends EventEmitter {
       throw new Error('Session not found');
     }
 
+    console.log(`Searching for message: ${messageId}`);
+    
+    // 1) Direct lookup first (fast path)
     try {
-      console.log(`Searching for message: ${messageId}`);
-      
-      // 1) Direct lookup first (fast path)
-      try {
-        const message = await client.getMessageById(messageId);
-        if (message) {
-          console.log(`Found message directly: ${messageId}`);
-          return await this.downloadMessageMedia(message, messageId);
-        }
-      } catch (directError) {
-        console.log(`Direct message fetch failed, falling back to chat search: ${directError.message}`);
+      const message = await client.getMessageById(messageId);
+      if (message) {
+        console.log(`Found message directly: ${messageId}`);
+        return message;
       }
+    } catch (directError) {
+      console.log(`Direct message fetch failed, falling back to chat search: ${directError.message}`);
+    }
+
+    // 2) Targeted chat lookup with larger windows (helps with older msgs).
+    // The message store knows the chat; otherwise fall back to the ID format
+    // true_<chatId>_<...>  or false_<chatId>_<...>
+    const stored = this.sessionManager.messageStore.getMessage(accountId, label, messageId);
+    const parts = messageId.split('_');
+    const chatId = stored?.chatId || (parts.length >= 2 ? parts[1] : null);
 
-      // 2) Targeted chat lookup with larger windows (helps with older msgs)
-      // messageId format usually: true_<chatId>_<...>  or false_<chatId>_<...>
-      const parts = messageId.split('_');
-      const chatId = parts.length >= 2 ? parts[1] : null;
-
-      if (chatId) {
-        try {
-          const chat = await client.getChatById(chatId);
-          const windows = [120, 300, 600, 1200]; // progressively larger
-          for (const limit of windows) {
-            const msgs = await chat.fetchMessages({ limit });
-            const found = msgs.find(m => m.id._serialized === messageId);
-            if (found) {
-              console.log(`Found message in chat ${chatId} (limit=${limit})`);
-              return await this.downloadMessageMedia(found, messageId);
-            }
+    if (chatId) {
+      try {
+        const chat = await client.getChatById(chatId);
+        let windows = [120, 300, 600, 1200]; // progressively larger
+        if (stored) {
+          // We know roughly how far back it is: start with a window that should reach it
+          const newer = this.sessionManager.messageStore.countNewer(accountId, label, chatId, stored.timestamp);
+          const first = Math.min(newer + 50, MAX_FETCH_WINDOW);
+          windows = [first, ...windows.filter(w => w > first)];
+        }
+        for (const limit of windows) {
+          const msgs = await chat.fetchMessages({ limit });
+          const found = msgs.find(m => m.id._serialized === messageId);
+          if (found) {
+            console.log(`Found message in chat ${chatId} (limit=${limit})`);
+            return found;
           }
-        } catch (e) {
-          console.warn(`Targeted chat lookup failed for ${chatId}: ${e.message}`);
         }
+      } catch (e) {
+        console.warn(`Targeted chat lookup failed for ${chatId}: ${e.message}`);
       }
+    }
 
-      // 3) Global fallback: scan recent messages across chats
-      const chats = await client.getChats();
-      console.log(`Searching ${chats.length} chats for message ${messageId}`);
-      
-      for (const chat of chats) {
-        try {
-          // modest window per chat; we already tried big window on the targeted chat
-          const messages = await chat.fetchMessages({ limit: 50 });
-          const foundMessage = messages.find(msg => msg.id._serialized === messageId);
-          
-          if (foundMessage) {
-            console.log(`Found message in chat: ${chat.name || chat.id._serialized}`);
-            return await this.downloadMessageMedia(foundMessage, messageId);
-          }
-        } catch (chatError) {
-          console.warn(`Error searching chat ${chat.id._serialized}:`, chatError.message);
-          continue;
+    if (stored) {
+      throw codedError(`Message with ID ${messageId} no longer available in chat ${chatId}`, 'MESSAGE_NOT_FOUND');
+    }
+
+    // 3) Global fallback (chat not in the store): scan recent messages across chats
+    const chats = await client.getChats();
+    console.log(`Searching ${chats.length} chats for message ${messageId}`);
+    
+    for (const chat of chats) {
+      try {
+        // modest window per chat; we already tried big window on the targeted chat
+        const messages = await chat.fetchMessages({ limit: 50 });
+        const foundMessage = messages.find(msg => msg.id._serialized === messageId);
+        
+        if (foundMessage) {
+          console.log(`Found message in chat: ${chat.name || chat.id._serialized}`);
+          return foundMessage;
         }
+      } catch (chatError) {
+        console.warn(`Error searching chat ${chat.id._serialized}:`, chatError.message);
+        continue;
       }
+    }
 
-      throw new Error(`Message with ID ${messageId} not found in recent messages`);
-    } catch (error) {
-      console.error('Media download error:', error);
-      throw new Error(`Failed to download media: ${error.message}`);
+    throw codedError(`Message with ID ${messageId} not found in recent messages`, 'MESSAGE_NOT_FOUND');
+  }
+
+  // --- Message actions (/messages/:messageId/...) ---
+
+  async replyToMessage(accountId, label, messageId, content) {
+    const message = await this.findMessage(accountId, label, messageId);
+    const reply = await message.reply(content);
+    return this.trackSent(accountId, label, reply);
+  }
+
+  // Empty emoji removes our reaction
+  async reactToMessage(accountId, label, messageId, emoji) {
+    const message = await this.findMessage(accountId, label, messageId);
+    await message.react(emoji);
+    return { messageId, reaction: emoji };
+  }
+
+  async forwardMessage(accountId, label, messageId, chatId) {
+    const message = await this.findMessage(accountId, label, messageId);
+    await message.forward(chatId);
+    return { messageId, forwardedTo: chatId };
+  }
+
+  async starMessage(accountId, label, messageId, starred = true) {
+    const message = await this.findMessage(accountId, label, messageId);
+    if (starred) await message.star();
+    else await message.unstar();
+    return { messageId, isStarred: starred };
+  }
+
+  // Only our own text messages, within WhatsApp's edit window
+  async editMessage(accountId, label, messageId, content) {
+    const message = await this.findMessage(accountId, label, messageId);
+    if (!message.fromMe) throw codedError('Only your own messages can be edited', 'ACTION_REJECTED');
+    if (Date.now() / 1000 - message.timestamp > EDIT_WINDOW_SECONDS) {
+      throw codedError('Messages can only be edited within 15 minutes of sending', 'ACTION_REJECTED');
     }
+
+    const edited = await message.edit(content);
+    if (!edited) throw codedError('WhatsApp refused to edit this message', 'ACTION_REJECTED');
+    const formatted = this.formatMessage(edited);
+    this.sessionManager.messageStore.save(accountId, label, formatted);
+    return formatted;
+  }
+
+  async deleteMessage(accountId, label, messageId, { forEveryone = false } = {}) {
+    const message = await this.findMessage(accountId, label, messageId);
+    await message.delete(forEveryone);
+    // "For everyone" leaves a revoked placeholder (stored via message_revoke_everyone)
+    if (!forEveryone) this.sessionManager.messageStore.remove(accountId, label, messageId);
+    return { messageId, deleted: true, forEveryone };
   }
 
   // Helper method to download media from a found message
@@ -338,23 +615,116 @@ async downloadMessageMedia(message, messageId) {
       isReadOnly: chat.isReadOnly,
       unreadCount: chat.unreadCount,
       timestamp: chat.timestamp,
+      archived: !!chat.archived,
+      pinned: !!chat.pinned,
+      isMuted: !!chat.isMuted,
+      muteExpiration: chat.muteExpiration || null,
       lastMessage: chat.lastMessage ? this.formatMessage(chat.lastMessage) : null
     };
   }
 
+  // The chat a message belongs to: the counterpart for 1:1 chats, the group for groups
+  chatIdOf(message) {
+    const remote = message.id?.remote;
+    if (remote) return typeof remote === 'string' ? remote : remote._serialized;
+    return message.fromMe ? message.to : message.from;
+  }
+
+  // wwebjs ids come as strings or { _serialized }
+  serializeId(id) {
+    if (!id) return null;
+    return typeof id === 'string' ? id : id._serialized || null;
+  }
+
   formatMessage(message) {
+    const data = message._data || {};
     return {
       id: message.id._serialized,
+      chatId: this.chatIdOf(message),
       body: message.body,
       type: message.type,
       from: message.from,
       to: message.to,
       fromMe: message.fromMe,
-      author: message.author,
+      // Sender inside groups
+      author: message.author || null,
       timestamp: message.timestamp,
+      ack: message.ack ?? null,
+      ackStatus: ACK_STATUSES[message.ack] ?? null,
       hasMedia: message.hasMedia,
       mediaKey: message.mediaKey,
-      location: message.location,
+      media: message.hasMedia ? {
+        mimetype: data.mimetype || null,
+        filename: data.filename || null,
+        size: data.size ?? null,
+        duration: message.duration ? Number(message.duration) : null,
+        width: data.width ?? null,
+        height: data.height ?? null,
+        isViewOnce: !!data.isViewOnce
+      } : null,
+      quoted: this.formatQuoted(message),
+      mentions: (message.mentionedIds || []).map(id => this.serializeId(id)).filter(Boolean),
+      groupMentions: (message.groupMentions || []).map(m => this.serializeId(m.groupJid || m)).filter(Boolean),
+      location: this.formatLocation(message.location),
+      vCards: message.vCards?.length ? message.vCards : [],
+      links: (message.links || []).map(l => ({ url: l.link, isSuspicious: !!l.isSuspicious })),
+      isForwarded: !!message.isForwarded,
+      forwardingScore: message.forwardingScore || 0,
+      isStarred: !!message.isStarred,
+      isStatus: !!message.isStatus,
+      hasReaction: !!message.hasReaction
+    };
+  }
+
+  // Summary of the message this one replies to (from the raw quote data; no extra lookup)
+  formatQuoted(message) {
+    const data = message._data || {};
+    if (!message.hasQuotedMsg || !data.quotedMsg) return null;
+    const quoted = data.quotedMsg;
+    return {
+      id: data.quotedStanzaID || null,
+      participant: this.serializeId(data.quotedParticipant),
+      type: quoted.type || null,
+      body: quoted.body || quoted.caption || '',
+      hasMedia: !!quoted.mimetype,
+      mimetype: quoted.mimetype || null
+    };
+  }
+
+  formatLocation(location) {
+    if (!location) return null;
+    const options = location.options || {};
+    return {
+      latitude: Number(location.latitude),
+      longitude: Number(location.longitude),
+      name: location.name || options.name || null,
+      address: location.address || options.address || null,
+      url: location.url || options.url || null,
+      description: location.description || null
+    };
+  }
+
+  formatReaction(reaction) {
+    return {
+      id: this.serializeId(reaction.id),
+      messageId: this.serializeId(reaction.msgId),
+      chatId: this.serializeId(reaction.msgId?.remote),
+      senderId: reaction.senderId,
+      // Empty string when a reaction is removed
+      reaction: reaction.reaction,
+      timestamp: reaction.timestamp
+    };
+  }
+
+  formatGroupNotification(notification) {
+    return {
+      id: this.serializeId(notification.id),
+      chatId: notification.chatId,
+      type: notification.type,
+      author: notification.author || null,
+      recipientIds: notification.recipientIds || [],
+      body: notification.body || '',
+      timestamp: notification.timestamp
     };
   }
 }
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+const DEFAULT_PUPPETEER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage'
+];
+
+// Every setting, by its path in the config object. Precedence: environment variable,
+// then the file named by CONFIG_FILE (JSON or YAML, same nested shape), then the older
+// SESSION_CONFIG_FILE (session keys only), then the default.
+//   type: int | bool | string | list | enum | json
+//   secret: redacted by redactConfig()
+export const SCHEMA = {
+  'server.port': { env: 'PORT', type: 'int', default: 3000, min: 1, max: 65535 },
+  'server.corsOrigins': { env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+
+  'auth.apiKeys': { env: 'API_KEYS', type: 'json', default: [], secret: true },
+  'auth.apiKeysFile': { env: 'API_KEYS_FILE', type: 'string', default: null },
+  'auth.jwtSecret': { env: 'JWT_SECRET', type: 'string', default: null, secret: true },
+  'auth.disabled': { env: 'AUTH_DISABLED', type: 'bool', default: false },
+
+  'sessions.maxSessions': { env: 'MAX_SESSIONS', type: 'int', default: 5, min: 1 },
+  'sessions.admission': { env: 'SESSION_ADMISSION', type: 'enum', values: ['reject', 'queue'], default: 'reject' },
+  'sessions.dataPath': { env: 'SESSION_DATA_PATH', type: 'string', default: './.wwebjs_auth' },
+  'sessions.maxMemoryMb': { env: 'SESSION_MAX_MEMORY_MB', type: 'int', default: 0, min: 0 },
+  'sessions.idleTimeoutMs': { env: 'SESSION_IDLE_TIMEOUT_MS', type: 'int', default: 0, min: 0 },
+  'sessions.wakeTimeoutMs': { env: 'SESSION_WAKE_TIMEOUT_MS', type: 'int', default: 60000, min: 1000 },
+  'sessions.pairingCodeIntervalMs': { env: 'PAIRING_CODE_INTERVAL_MS', type: 'int', default: 180000, min: 30000 },
+  'sessions.supervisorIntervalMs': { env: 'SUPERVISOR_INTERVAL_MS', type: 'int', default: 30000, min: 1000 },
+  'sessions.stuckTimeoutMs': { env: 'SESSION_STUCK_TIMEOUT_MS', type: 'int', default: 180000, min: 10000 },
+
+  'puppeteer.headless': { env: 'PUPPETEER_HEADLESS', type: 'bool', default: true },
+  'puppeteer.executablePath': { env: 'PUPPETEER_EXECUTABLE_PATH', type: 'string', default: null },
+  'puppeteer.args': { env: 'PUPPETEER_ARGS', type: 'list', default: DEFAULT_PUPPETEER_ARGS },
+
+  'store.path': { env: 'STORE_PATH', type: 'string', default: './.data/store.db' },
+
+  'storage.backend': { env: 'SESSION_STORAGE', type: 'enum', values: ['local', 'filesystem', 's3', 'database'], default: 'local' },
+  'storage.backupIntervalMs': { env: 'SESSION_BACKUP_INTERVAL_MS', type: 'int', default: 5 * 60 * 1000, min: 60000 },
+  'storage.path': { env: 'SESSION_STORAGE_PATH', type: 'string', default: null },
+  'storage.s3.endpoint': { env: 'S3_ENDPOINT', type: 'string', default: null },
+  'storage.s3.region': { env: 'S3_REGION', type: 'string', default: 'us-east-1' },
+  'storage.s3.bucket': { env: 'S3_BUCKET', type: 'string', default: null },
+  'storage.s3.prefix': { env: 'S3_PREFIX', type: 'string', default: 'wwebjs-sessions/' },
+  'storage.s3.accessKeyId': { env: 'S3_ACCESS_KEY_ID', type: 'string', default: null, secret: true },
+  'storage.s3.secretAccessKey': { env: 'S3_SECRET_ACCESS_KEY', type: 'string', default: null, secret: true },
+  'storage.s3.forcePathStyle': { env: 'S3_FORCE_PATH_STYLE', type: 'bool', default: true },
+
+  'media.cacheDir': { env: 'MEDIA_CACHE_DIR', type: 'string', default: './.media_cache' },
+  'media.uploadDir': { env: 'UPLOAD_DIR', type: 'string', default: null },
+  'media.uploadLimitBytes': { env: 'UPLOAD_LIMIT_BYTES', type: 'int', default: 50 * 1024 * 1024, min: 1024 },
+  'media.memoryCacheTtlMs': { env: 'MEDIA_MEMORY_CACHE_TTL_MS', type: 'int', default: 10 * 60 * 1000, min: 0 },
+  'media.memoryBudgetBytes': { env: 'MEDIA_MEMORY_BUDGET_BYTES', type: 'int', default: 128 * 1024 * 1024, min: 0 },
+  'media.cacheMaxBytes': { env: 'MEDIA_CACHE_MAX_BYTES', type: 'int', default: 2 * 1024 * 1024 * 1024, min: 0 },
+  'media.cacheSessionMaxBytes': { env: 'MEDIA_CACHE_SESSION_MAX_BYTES', type: 'int', default: 0, min: 0 },
+  'media.cacheMaxAgeMs': { env: 'MEDIA_CACHE_MAX_AGE_MS', type: 'int', default: 30 * 24 * 60 * 60 * 1000, min: 0 },
+
+  'ffmpeg.path': { env: 'FFMPEG_PATH', type: 'string', default: 'ffmpeg' },
+  'ffmpeg.voiceBitrate': { env: 'VOICE_BITRATE', type: 'string', default: '24k', pattern: /^\d+k?$/ },
+  'ffmpeg.voiceSampleRate': { env: 'VOICE_SAMPLE_RATE', type: 'int', default: 48000, min: 8000, max: 48000 },
+  'ffmpeg.voiceChannels': { env: 'VOICE_CHANNELS', type: 'int', default: 1, min: 1, max: 2 },
+  'ffmpeg.imageQuality': { env: 'IMAGE_QUALITY', type: 'int', default: 2, min: 1, max: 31 },
+  'ffmpeg.ffprobePath': { env: 'FFPROBE_PATH', type: 'string', default: 'ffprobe' },
+  'ffmpeg.pdftoppmPath': { env: 'PDFTOPPM_PATH', type: 'string', default: 'pdftoppm' },
+  'ffmpeg.videoMaxBytes': { env: 'VIDEO_MAX_BYTES', type: 'int', default: 16 * 1024 * 1024, min: 1024 * 1024 },
+  'ffmpeg.videoMaxBitrateKbps': { env: 'VIDEO_MAX_BITRATE_KBPS', type: 'int', default: 2500, min: 200 },
+  'ffmpeg.videoMaxDimension': { env: 'VIDEO_MAX_DIMENSION', type: 'int', default: 1280, min: 240, max: 3840 },
+  'ffmpeg.concurrency': { env: 'FFMPEG_CONCURRENCY', type: 'int', default: 2, min: 1, max: 32 },
+  'ffmpeg.timeoutMs': { env: 'FFMPEG_TIMEOUT_MS', type: 'int', default: 5 * 60 * 1000, min: 1000 },
+  'ffmpeg.maxQueue': { env: 'FFMPEG_MAX_QUEUE', type: 'int', default: 100, min: 0 },
+
+  'validation.defaultRegion': { env: 'DEFAULT_PHONE_REGION', type: 'string', default: null, pattern: /^[A-Z]{2}$/ },
+  'validation.concurrency': { env: 'VALIDATION_CONCURRENCY', type: 'int', default: 3, min: 1, max: 20 },
+  'validation.cacheTtlMs': { env: 'VALIDATION_CACHE_TTL_MS', type: 'int', default: 7 * 24 * 60 * 60 * 1000, min: 0 },
+  'validation.syncLimit': { env: 'VALIDATION_SYNC_LIMIT', type: 'int', default: 100, min: 1 },
+  'validation.maxNumbers': { env: 'VALIDATION_MAX_NUMBERS', type: 'int', default: 50000, min: 1 },
+  'validation.jobRetentionDays': { env: 'VALIDATION_JOB_RETENTION_DAYS', type: 'int', default: 30, min: 1 },
+
+  'outbox.messagesPerMinute': { env: 'OUTBOX_MESSAGES_PER_MINUTE', type: 'int', default: 20, min: 1, max: 600 },
+  'outbox.jitterMs': { env: 'OUTBOX_JITTER_MS', type: 'int', default: 3000, min: 0, max: 10 * 60 * 1000 },
+  'outbox.spoolDir': { env: 'OUTBOX_SPOOL_DIR', type: 'string', default: './.outbox_spool' }
+};
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => (o[k] ??= {}), obj);
+  target[last] = value;
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  const parsed = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  if (parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+    throw new Error('top level must be an object');
+  }
+  return parsed || {};
+}
+
+// SESSION_CONFIG_FILE from before CONFIG_FILE: flat session keys plus `storePath` and
+// `puppeteer`, rearranged into the nested shape
+function readLegacySessionFile(file) {
+  const { storePath, puppeteer, ...sessions } = readConfigFile(file);
+  return { sessions, puppeteer, store: { path: storePath } };
+}
+
+// Coerce an env string (or a typed file value) to the schema type; throws with the reason
+function coerce(spec, raw, fromEnv) {
+  switch (spec.type) {
+    case 'int': {
+      const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? parseInt(raw, 10) : NaN);
+      if (!Number.isInteger(value)) throw new Error('must be an integer');
+      if (spec.min !== undefined && value < spec.min) throw new Error(`must be >= ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) throw new Error(`must be <= ${spec.max}`);
+      return value;
+    }
+    case 'bool': {
+      if (typeof raw === 'boolean') return raw;
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return true;
+      if (['false', '0', 'no'].includes(text)) return false;
+      throw new Error('must be true or false');
+    }
+    case 'string': {
+      if (typeof raw !== 'string' && !fromEnv) throw new Error('must be a string');
+      const value = String(raw);
+      if (spec.pattern && !spec.pattern.test(value)) throw new Error(`must match ${spec.pattern}`);
+      return value;
+    }
+    case 'list': {
+      if (Array.isArray(raw)) return raw.map(String);
+      const text = String(raw).trim();
+      if (text.startsWith('[')) return coerce({ type: 'list' }, JSON.parse(text), false);
+      return text.split(',').map(v => v.trim()).filter(Boolean);
+    }
+    case 'enum': {
+      if (!spec.values.includes(raw)) throw new Error(`must be one of: ${spec.values.join(', ')}`);
+      return raw;
+    }
+    case 'json': {
+      const value = fromEnv ? JSON.parse(raw) : raw;
+      if (spec.default !== null && Array.isArray(spec.default) && !Array.isArray(value)) {
+        throw new Error('must be a JSON array');
+      }
+      return value;
+    }
+    default:
+      throw new Error(`unknown type ${spec.type}`);
+  }
+}
+
+// Build and validate the configuration. Throws one error listing every problem.
+export function loadConfig(env = process.env) {
+  const errors = [];
+  let file = {};
+  let legacyFile = {};
+
+  if (env.SESSION_CONFIG_FILE) {
+    try {
+      legacyFile = readLegacySessionFile(env.SESSION_CONFIG_FILE);
+    } catch (err) {
+      errors.push(`SESSION_CONFIG_FILE (${env.SESSION_CONFIG_FILE}): ${err.message}`);
+    }
+  }
+  if (env.CONFIG_FILE) {
+    try {
+      file = readConfigFile(env.CONFIG_FILE);
+    } catch (err) {
+      errors.push(`CONFIG_FILE (${env.CONFIG_FILE}): ${err.message}`);
+    }
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const envValue = env[spec.env];
+    const inConfigFile = getPath(file, key) !== undefined && getPath(file, key) !== null;
+    const fileValue = inConfigFile ? getPath(file, key) : getPath(legacyFile, key);
+    let value = spec.default;
+
+    try {
+      if (envValue !== undefined && envValue !== '') {
+        value = coerce(spec, envValue, true);
+      } else if (fileValue !== undefined && fileValue !== null) {
+        value = coerce(spec, fileValue, false);
+      }
+    } catch (err) {
+      const source = envValue !== undefined && envValue !== ''
+        ? `env ${spec.env}`
+        : `${key} in ${inConfigFile ? 'CONFIG_FILE' : 'SESSION_CONFIG_FILE'}`;
+      errors.push(`${source}: ${err.message}`);
+    }
+    setPath(config, key, value);
+  }
+
+  // API keys may live in their own file
+  if (config.auth.apiKeysFile) {
+    try {
+      config.auth.apiKeys = JSON.parse(fs.readFileSync(config.auth.apiKeysFile, 'utf8'));
+      if (!Array.isArray(config.auth.apiKeys)) throw new Error('must contain a JSON array');
+    } catch (err) {
+      errors.push(`API_KEYS_FILE (${config.auth.apiKeysFile}): ${err.message}`);
+    }
+  }
+
+  // Remote session backends need somewhere to put the sessions
+  if (config.storage.backend === 'filesystem' && !config.storage.path) {
+    errors.push('SESSION_STORAGE=filesystem requires SESSION_STORAGE_PATH');
+  }
+  if (config.storage.backend === 's3' && !config.storage.s3.bucket) {
+    errors.push('SESSION_STORAGE=s3 requires S3_BUCKET');
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+let current = null;
+
+// The process-wide configuration, loaded on first use
+export function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+// Copy of the config safe to show: secret values replaced
+export function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (!spec.secret) continue;
+    const value = getPath(copy, key);
+    if (value === null || value === undefined) continue;
+    if (Array.isArray(value)) {
+      setPath(copy, key, value.map(entry => (
+        entry && typeof entry === 'object' ? { ...entry, key: '[redacted]' } : '[redacted]'
+      )));
+    } else {
+      setPath(copy, key, '[redacted]');
+    }
+  }
+  return copy;
+}
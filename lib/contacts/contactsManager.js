@@ -1,4 +1,9 @@
 import { EventEmitter } from 'events';
+import fs from 'fs';
+import { codedError } from '../utils/errors.js';
+
+const AVATAR_TTL_MS = 24 * 60 * 60 * 1000;
+const AVATAR_FETCH_TIMEOUT_MS = 15000;
 
 export class ContactsManager extends EventEmitter {
   constructor(sessionManager) {
@@ -10,34 +15,60 @@ export class ContactsManager extends EventEmitter {
     return `${accountId}::${label}`;
   }
 
-  // Only @c.us, isWAContact === true, isMyContact === true, isBusiness === false
-  async listFilteredContacts(accountId, label) {
-    const key = this.keyOf(accountId, label);
-    const client = this.sessionManager.clients.get(key);
+  clientOf(accountId, label) {
+    const client = this.sessionManager.clients.get(this.keyOf(accountId, label));
     if (!client) throw new Error('Session not found');
+    return client;
+  }
+
+  formatContact(c) {
+    return {
+      id: c.id?._serialized,
+      server: c.id?.server,
+      user: c.id?.user,
+      name: c.name || null,
+      pushname: c.pushname || null,
+      isWAContact: typeof c.isWAContact === 'boolean' ? c.isWAContact : true,
+      isMyContact: !!c.isMyContact,
+      isBusiness: !!c.isBusiness
+    };
+  }
+
+  // Number or ID -> serialized contact ID (5511999999999 -> 5511999999999@c.us)
+  normalizeContactId(contactId) {
+    const value = String(contactId || '').trim();
+    if (value.includes('@')) return value;
+    const digits = value.replace(/[^\d]/g, '');
+    if (!digits) throw codedError('Invalid contact ID', 'INVALID_CONTACT');
+    return `${digits}@c.us`;
+  }
+
+  // Defaults keep the original filter: @c.us, isWAContact, isMyContact, not a business.
+  // filters: { includeBusiness, includeGroups, includeUnsaved, q } (q matches name, pushname or number)
+  async listFilteredContacts(accountId, label, filters = {}) {
+    const { includeBusiness = false, includeGroups = false, includeUnsaved = false, q } = filters;
+    const client = this.clientOf(accountId, label);
+    const query = q ? String(q).trim().toLowerCase() : '';
 
     try {
       const contacts = await client.getContacts();
       const filtered = contacts
         .filter(c => {
           const server = c?.id?.server || '';
-          return (
-            server === 'c.us' &&
-            (typeof c.isWAContact === 'boolean' ? c.isWAContact : true) &&
-            c.isMyContact === true &&
-            c.isBusiness !== true
-          );
+          if (server === 'g.us') {
+            if (!includeGroups) return false;
+          } else if (server !== 'c.us') {
+            return false;
+          } else {
+            if (!(typeof c.isWAContact === 'boolean' ? c.isWAContact : true)) return false;
+            if (!includeUnsaved && c.isMyContact !== true) return false;
+            if (!includeBusiness && c.isBusiness === true) return false;
+          }
+          if (!query) return true;
+          return [c.name, c.pushname, c.id?.user]
+            .some(v => v && String(v).toLowerCase().includes(query));
         })
-        .map(c => ({
-          id: c.id?._serialized,
-          server: c.id?.server,
-          user: c.id?.user,
-          name: c.name || null,
-          pushname: c.pushname || null,
-          isWAContact: typeof c.isWAContact === 'boolean' ? c.isWAContact : true,
-          isMyContact: !!c.isMyContact,
-          isBusiness: !!c.isBusiness
-        }));
+        .map(c => ({ ...this.formatContact(c), isGroup: c.id?.server === 'g.us' }));
 
       return filtered;
     } catch (err) {
@@ -45,6 +76,90 @@ export class ContactsManager extends EventEmitter {
     }
   }
 
+  async resolveContact(accountId, label, contactId) {
+    const client = this.clientOf(accountId, label);
+    const id = this.normalizeContactId(contactId);
+    try {
+      return await client.getContactById(id);
+    } catch (err) {
+      throw codedError(`Contact ${id} not found: ${err.message}`, 'CONTACT_NOT_FOUND');
+    }
+  }
+
+  // Profile details: about text, picture URL, business profile, groups in common
+  async getContactDetails(accountId, label, contactId) {
+    const contact = await this.resolveContact(accountId, label, contactId);
+    // Each of these may fail on privacy settings; report what we can
+    const [about, profilePicUrl, commonGroups] = await Promise.all([
+      contact.getAbout().catch(() => null),
+      contact.getProfilePicUrl().catch(() => null),
+      contact.getCommonGroups().catch(() => [])
+    ]);
+
+    const business = contact.isBusiness ? contact.businessProfile || null : null;
+    return {
+      ...this.formatContact(contact),
+      number: contact.number || contact.id?.user || null,
+      shortName: contact.shortName || null,
+      isBlocked: !!contact.isBlocked,
+      isEnterprise: !!contact.isEnterprise,
+      about,
+      profilePicUrl: profilePicUrl || null,
+      avatarUrl: `/api/sessions/${encodeURIComponent(accountId)}/${encodeURIComponent(label)}/contacts/${encodeURIComponent(contact.id._serialized)}/avatar`,
+      businessProfile: business ? {
+        description: business.description || null,
+        categories: business.categories?.map(c => c.localized_display_name || c.display_name).filter(Boolean) || [],
+        email: business.email || null,
+        website: (business.website || []).map(w => w.url || w).filter(Boolean),
+        address: business.address || null,
+        businessHours: business.business_hours || null
+      } : null,
+      commonGroups: commonGroups.map(g => (typeof g === 'string' ? g : g._serialized))
+    };
+  }
+
+  // Profile picture bytes, cached for AVATAR_TTL_MS (WhatsApp picture URLs expire). Kept in
+  // the media cache as <contactId>~avatar, so its quotas and purges apply.
+  async getAvatar(accountId, label, contactId) {
+    const id = this.normalizeContactId(contactId);
+    const mediaCache = this.sessionManager.getMediaCache();
+    const cacheId = `${id}~avatar`;
+
+    const cached = await mediaCache.get(accountId, label, cacheId);
+    if (cached && Date.now() - cached.lastModified < AVATAR_TTL_MS) {
+      return { buffer: cached.buffer ?? await fs.promises.readFile(cached.file), mimetype: cached.mimetype, cached: true };
+    }
+
+    const contact = await this.resolveContact(accountId, label, id);
+    const url = await contact.getProfilePicUrl().catch(() => null);
+    if (!url) throw codedError('Contact has no profile picture (or it is private)', 'CONTACT_NOT_FOUND');
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(AVATAR_FETCH_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`Failed to fetch profile picture: HTTP ${response.status}`);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const mimetype = response.headers.get('content-type') || 'image/jpeg';
+
+    // Caching is best effort; the picture itself was fetched
+    await mediaCache.set(accountId, label, cacheId, { buffer, mimetype, filename: 'avatar.jpg' }).catch((error) => {
+      this.sessionManager.log('ERROR', 'Failed to cache avatar', { accountId, label, contactId: id, error: error.message });
+    });
+    return { buffer, mimetype, cached: false };
+  }
+
+  async setBlocked(accountId, label, contactId, blocked) {
+    const contact = await this.resolveContact(accountId, label, contactId);
+    const ok = blocked ? await contact.block() : await contact.unblock();
+    if (ok === false) throw codedError(`WhatsApp refused to ${blocked ? 'block' : 'unblock'} this contact`, 'ACTION_REJECTED');
+    this.sessionManager.log('CONTACT', `${blocked ? 'Blocked' : 'Unblocked'} contact`, { accountId, label, contactId: contact.id._serialized });
+    return { id: contact.id._serialized, isBlocked: blocked };
+  }
+
+  async listBlocked(accountId, label) {
+    const client = this.clientOf(accountId, label);
+    const contacts = await client.getBlockedContacts();
+    return contacts.map(c => this.formatContact(c));
+  }
+
   // Lookup: uses client.getNumberId(number). Returns null if not registered.
   async lookupNumber(accountId, label, number) {
     const key = this.keyOf(accountId, label);
@@ -78,16 +193,7 @@ export class ContactsManager extends EventEmitter {
           server: wid.server,
           _serialized: wid._serialized
         },
-        contact: contact ? {
-          id: contact.id?._serialized,
-          server: contact.id?.server,
-          user: contact.id?.user,
-          name: contact.name || null,
-          pushname: contact.pushname || null,
-          isWAContact: typeof contact.isWAContact === 'boolean' ? contact.isWAContact : true,
-          isMyContact: !!contact.isMyContact,
-          isBusiness: !!contact.isBusiness
-        } : null
+        contact: contact ? this.formatContact(contact) : null
       };
     } catch (err) {
       throw new Error(`Lookup failed: ${err.message}`);
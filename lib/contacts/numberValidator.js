@@ -0,0 +1,342 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { parseCsv, toCsv, NUMBER_COLUMNS } from '../utils/csv.js';
+import { codedError } from '../utils/errors.js';
+
+const PROGRESS_INTERVAL_MS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checks many numbers for a WhatsApp account: E.164 normalization, a shared result cache
+// (registration does not depend on the session asking) and a bounded number of lookups
+// in flight. Large lists run as persistent jobs with progress events.
+export class NumberValidator extends EventEmitter {
+  constructor(sessionManager) {
+    super();
+    this.sessionManager = sessionManager;
+    this.db = sessionManager.db;
+    this.options = sessionManager.config.validation;
+    this.running = new Set(); // job IDs being processed
+    this.lastProgress = new Map(); // jobId -> ms
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS number_cache (
+        e164 TEXT PRIMARY KEY,
+        is_registered INTEGER NOT NULL,
+        wid TEXT,
+        checked_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS validation_jobs (
+        id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        region TEXT,
+        status TEXT NOT NULL,
+        total INTEGER NOT NULL,
+        error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_validation_jobs_session ON validation_jobs(account_id, label, created_at);
+
+      CREATE TABLE IF NOT EXISTS validation_results (
+        job_id TEXT NOT NULL REFERENCES validation_jobs(id) ON DELETE CASCADE,
+        idx INTEGER NOT NULL,
+        input TEXT NOT NULL,
+        e164 TEXT,
+        status TEXT NOT NULL,
+        wid TEXT,
+        cached INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        PRIMARY KEY (job_id, idx)
+      );
+    `);
+
+    sessionManager.on('status', ({ accountId, label, status }) => {
+      if (status === 'ready') this.resume(accountId, label);
+    });
+
+    this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  // Any input ("(11) 99999-9999", "+55 11 ...", "5511999999999@c.us") -> { e164 } or { error }
+  normalize(input, region = this.options.defaultRegion) {
+    const raw = String(input ?? '').trim().replace(/@c\.us$/, '');
+    if (!raw) return { error: 'Empty number' };
+
+    // Without a default region, bare digits are read as including the country code
+    const candidate = raw.startsWith('+') || region ? raw : `+${raw.replace(/[^\d]/g, '')}`;
+    const parsed = parsePhoneNumberFromString(candidate, region || undefined);
+    if (!parsed || !parsed.isPossible()) return { error: 'Not a valid phone number' };
+    return { e164: parsed.number };
+  }
+
+  // Numbers from an uploaded CSV: a number/phone column if there is a header, else the first column
+  parseCsvNumbers(text) {
+    const rows = parseCsv(text);
+    if (!rows.length) return [];
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const column = header.findIndex(h => NUMBER_COLUMNS.includes(h));
+    if (column >= 0) return rows.slice(1).map(r => (r[column] || '').trim());
+    const hasHeader = !/\d/.test(rows[0][0] || '');
+    return (hasHeader ? rows.slice(1) : rows).map(r => (r[0] || '').trim());
+  }
+
+  getCached(e164) {
+    const row = this.db.prepare('SELECT * FROM number_cache WHERE e164 = ?').get(e164);
+    if (!row || Date.now() - row.checked_at > this.options.cacheTtlMs) return null;
+    return { isRegistered: !!row.is_registered, wid: row.wid };
+  }
+
+  async check(client, e164) {
+    const cached = this.getCached(e164);
+    if (cached) return { ...cached, cached: true };
+
+    const wid = await client.getNumberId(e164.slice(1));
+    const result = { isRegistered: !!wid, wid: wid ? wid._serialized : null };
+    this.db
+      .prepare('INSERT OR REPLACE INTO number_cache (e164, is_registered, wid, checked_at) VALUES (?, ?, ?, ?)')
+      .run(e164, result.isRegistered ? 1 : 0, result.wid, Date.now());
+    return { ...result, cached: false };
+  }
+
+  // One entry of the result list
+  async validateOne(client, input, region) {
+    const { e164, error } = this.normalize(input, region);
+    if (!e164) return { input, e164: null, status: 'invalid', wid: null, cached: false, error };
+    try {
+      const { isRegistered, wid, cached } = await this.check(client, e164);
+      return { input, e164, status: isRegistered ? 'registered' : 'unregistered', wid, cached, error: null };
+    } catch (err) {
+      return { input, e164, status: 'error', wid: null, cached: false, error: err.message };
+    }
+  }
+
+  // Run fn over items with at most `concurrency` calls in flight
+  async pool(items, fn, shouldStop = () => false) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length && !shouldStop()) {
+        const i = next++;
+        await fn(items[i], i);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.options.concurrency, items.length) }, worker));
+  }
+
+  clientOf(accountId, label) {
+    const key = this.sessionManager.keyOf(accountId, label);
+    const client = this.sessionManager.clients.get(key);
+    if (!client) throw new Error('Session not found');
+    if (this.sessionManager.states.get(key) !== 'ready') throw codedError('Session is not ready', 'SESSION_NOT_READY');
+    return client;
+  }
+
+  checkInput(numbers) {
+    if (!Array.isArray(numbers) || !numbers.length) {
+      throw codedError('numbers must be a non-empty array', 'INVALID_NUMBERS');
+    }
+    if (numbers.length > this.options.maxNumbers) {
+      throw codedError(`At most ${this.options.maxNumbers} numbers per request`, 'INVALID_NUMBERS');
+    }
+  }
+
+  // Small lists: answer in the request
+  async validate(accountId, label, numbers, { region } = {}) {
+    this.checkInput(numbers);
+    if (numbers.length > this.options.syncLimit) {
+      throw codedError(`More than ${this.options.syncLimit} numbers: use async mode`, 'INVALID_NUMBERS');
+    }
+    const client = this.clientOf(accountId, label);
+    const results = new Array(numbers.length);
+    await this.pool(numbers, async (input, i) => {
+      results[i] = await this.validateOne(client, String(input ?? ''), region);
+    });
+    return { total: results.length, counts: this.countResults(results), results };
+  }
+
+  countResults(results) {
+    const counts = {};
+    for (const r of results) counts[r.status] = (counts[r.status] || 0) + 1;
+    return counts;
+  }
+
+  // --- Async jobs ---
+
+  createJob(accountId, label, numbers, { region } = {}) {
+    this.checkInput(numbers);
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    const insert = this.db.prepare(`
+      INSERT INTO validation_results (job_id, idx, input, status) VALUES (?, ?, ?, 'pending')
+    `);
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO validation_jobs (id, account_id, label, region, status, total, created_at, updated_at)
+        VALUES (?, ?, ?, ?, 'running', ?, ?, ?)
+      `).run(id, accountId, label, region || null, numbers.length, now, now);
+      numbers.forEach((input, idx) => insert.run(id, idx, String(input ?? '')));
+    })();
+
+    this.sessionManager.log('VALIDATION', 'Validation job created', { accountId, label, id, total: numbers.length });
+    this.run(id);
+    return this.getJob(accountId, label, id);
+  }
+
+  resume(accountId, label) {
+    this.db
+      .prepare("SELECT id FROM validation_jobs WHERE account_id = ? AND label = ? AND status = 'running'")
+      .all(accountId, label)
+      .forEach(({ id }) => this.run(id));
+  }
+
+  async run(jobId) {
+    if (this.running.has(jobId)) return;
+    this.running.add(jobId);
+
+    try {
+      const job = this.db.prepare('SELECT * FROM validation_jobs WHERE id = ?').get(jobId);
+      if (!job || job.status !== 'running') return;
+
+      const { account_id: accountId, label } = job;
+      const key = this.sessionManager.keyOf(accountId, label);
+      let client;
+      try {
+        client = this.clientOf(accountId, label);
+      } catch {
+        return; // resume() picks it up once the session is ready
+      }
+
+      const pending = this.db
+        .prepare("SELECT idx, input FROM validation_results WHERE job_id = ? AND status = 'pending' ORDER BY idx")
+        .all(jobId);
+      const save = this.db.prepare(`
+        UPDATE validation_results SET e164 = ?, status = ?, wid = ?, cached = ?, error = ? WHERE job_id = ? AND idx = ?
+      `);
+      const stopped = () => (
+        this.sessionManager.clients.get(key) !== client ||
+        this.db.prepare('SELECT status FROM validation_jobs WHERE id = ?').get(jobId)?.status !== 'running'
+      );
+
+      await this.pool(pending, async ({ idx, input }) => {
+        const r = await this.validateOne(client, input, job.region);
+        save.run(r.e164, r.status, r.wid, r.cached ? 1 : 0, r.error, jobId, idx);
+        this.progress(jobId);
+      }, stopped);
+
+      if (stopped()) return;
+      this.setStatus(jobId, 'completed');
+      this.progress(jobId, { force: true });
+    } catch (error) {
+      this.sessionManager.log('ERROR', 'Validation job failed', { jobId, error: error.message });
+      this.setStatus(jobId, 'failed', error.message);
+      this.progress(jobId, { force: true });
+    } finally {
+      this.running.delete(jobId);
+    }
+  }
+
+  setStatus(jobId, status, error = null) {
+    this.db
+      .prepare('UPDATE validation_jobs SET status = ?, error = ?, updated_at = ? WHERE id = ?')
+      .run(status, error, Date.now(), jobId);
+  }
+
+  // Emit `validation` at most once per PROGRESS_INTERVAL_MS per job (always on completion)
+  progress(jobId, { force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - (this.lastProgress.get(jobId) || 0) < PROGRESS_INTERVAL_MS) return;
+    this.lastProgress.set(jobId, now);
+    if (force) this.lastProgress.delete(jobId);
+
+    const job = this.db.prepare('SELECT account_id, label FROM validation_jobs WHERE id = ?').get(jobId);
+    if (!job) return;
+    this.sessionManager.emit('validation', {
+      accountId: job.account_id,
+      label: job.label,
+      job: this.getJob(job.account_id, job.label, jobId)
+    });
+  }
+
+  // Expired cache entries, and finished jobs (results cascade) past the retention
+  prune() {
+    const now = Date.now();
+    this.db.prepare('DELETE FROM number_cache WHERE checked_at < ?').run(now - this.options.cacheTtlMs);
+    this.db
+      .prepare("DELETE FROM validation_jobs WHERE status != 'running' AND updated_at < ?")
+      .run(now - this.options.jobRetentionDays * DAY_MS);
+  }
+
+  getJob(accountId, label, jobId) {
+    const job = this.db
+      .prepare('SELECT * FROM validation_jobs WHERE id = ? AND account_id = ? AND label = ?')
+      .get(jobId, accountId, label);
+    if (!job) return null;
+
+    const counts = {};
+    this.db
+      .prepare('SELECT status, COUNT(*) AS n FROM validation_results WHERE job_id = ? GROUP BY status')
+      .all(jobId)
+      .forEach(({ status, n }) => { counts[status] = n; });
+    const processed = job.total - (counts.pending || 0);
+
+    return {
+      id: job.id,
+      accountId,
+      label,
+      status: job.status,
+      region: job.region,
+      total: job.total,
+      processed,
+      progress: job.total ? Math.round((processed / job.total) * 100) : 100,
+      counts,
+      error: job.error,
+      createdAt: new Date(job.created_at).toISOString(),
+      updatedAt: new Date(job.updated_at).toISOString()
+    };
+  }
+
+  listJobs(accountId, label, { limit = 20 } = {}) {
+    const capped = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    return this.db
+      .prepare('SELECT id FROM validation_jobs WHERE account_id = ? AND label = ? ORDER BY created_at DESC LIMIT ?')
+      .all(accountId, label, capped)
+      .map(({ id }) => this.getJob(accountId, label, id));
+  }
+
+  cancelJob(accountId, label, jobId) {
+    const job = this.getJob(accountId, label, jobId);
+    if (!job) return null;
+    if (job.status === 'running') {
+      this.setStatus(jobId, 'cancelled');
+      this.progress(jobId, { force: true });
+    }
+    return this.getJob(accountId, label, jobId);
+  }
+
+  getResults(jobId) {
+    return this.db
+      .prepare('SELECT * FROM validation_results WHERE job_id = ? ORDER BY idx')
+      .all(jobId)
+      .map(r => ({ input: r.input, e164: r.e164, status: r.status, wid: r.wid, cached: !!r.cached, error: r.error }));
+  }
+
+  // Result file: { filename, contentType, body }
+  exportResults(accountId, label, jobId, format = 'csv') {
+    const job = this.getJob(accountId, label, jobId);
+    if (!job) return null;
+    const results = this.getResults(jobId);
+
+    if (format === 'json') {
+      return {
+        filename: `validation-${jobId}.json`,
+        contentType: 'application/json',
+        body: JSON.stringify({ job, results }, null, 2)
+      };
+    }
+    const rows = [['input', 'e164', 'status', 'wid', 'error'], ...results.map(r => [r.input, r.e164, r.status, r.wid, r.error])];
+    return { filename: `validation-${jobId}.csv`, contentType: 'text/csv; charset=utf-8', body: toCsv(rows) };
+  }
+}
@@ -0,0 +1,211 @@
+import { EventEmitter } from 'events';
+import wwebjs from 'whatsapp-web.js';
+import { codedError } from '../utils/errors.js';
+
+const { MessageMedia } = wwebjs;
+
+const INVITE_PREFIX = 'https://chat.whatsapp.com/';
+
+export class GroupManager extends EventEmitter {
+  constructor(sessionManager) {
+    super();
+    this.sessionManager = sessionManager;
+  }
+
+  keyOf(accountId, label) {
+    return `${accountId}::${label}`;
+  }
+
+  clientOf(accountId, label) {
+    const client = this.sessionManager.clients.get(this.keyOf(accountId, label));
+    if (!client) throw new Error('Session not found');
+    return client;
+  }
+
+  async resolveGroup(accountId, label, groupId) {
+    const client = this.clientOf(accountId, label);
+    let chat;
+    try {
+      chat = await client.getChatById(groupId);
+    } catch (error) {
+      throw codedError(`Group ${groupId} not found: ${error.message}`, 'GROUP_NOT_FOUND');
+    }
+    if (!chat?.isGroup) throw codedError(`${groupId} is not a group`, 'GROUP_NOT_FOUND');
+    return chat;
+  }
+
+  // Numbers or IDs -> serialized user IDs (5511999999999 -> 5511999999999@c.us)
+  normalizeParticipants(participants) {
+    const list = Array.isArray(participants) ? participants : [participants];
+    const ids = list
+      .map(p => String(p || '').trim())
+      .filter(Boolean)
+      .map(p => (p.includes('@') ? p : `${p.replace(/[^\d]/g, '')}@c.us`));
+    if (!ids.length) throw codedError('participants must be a non-empty list of numbers or IDs', 'INVALID_GROUP_REQUEST');
+    return ids;
+  }
+
+  formatParticipant(participant) {
+    return {
+      id: participant.id._serialized,
+      user: participant.id.user,
+      isAdmin: !!participant.isAdmin,
+      isSuperAdmin: !!participant.isSuperAdmin
+    };
+  }
+
+  formatGroup(chat, { includeParticipants = false } = {}) {
+    const meta = chat.groupMetadata || {};
+    const participants = chat.participants || [];
+    const group = {
+      id: chat.id._serialized,
+      name: chat.name,
+      description: chat.description || null,
+      owner: chat.owner?._serialized || null,
+      createdAt: chat.createdAt ? new Date(chat.createdAt).toISOString() : null,
+      participantCount: participants.length,
+      // Only admins may send messages / edit group info
+      messagesAdminsOnly: !!meta.announce,
+      infoAdminsOnly: !!meta.restrict,
+      isReadOnly: !!chat.isReadOnly
+    };
+    if (includeParticipants) group.participants = participants.map(p => this.formatParticipant(p));
+    return group;
+  }
+
+  async listGroups(accountId, label) {
+    const client = this.clientOf(accountId, label);
+    const chats = await client.getChats();
+    return chats.filter(chat => chat.isGroup).map(chat => this.formatGroup(chat));
+  }
+
+  async getGroup(accountId, label, groupId) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    return this.formatGroup(chat, { includeParticipants: true });
+  }
+
+  async getParticipants(accountId, label, groupId) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    return (chat.participants || []).map(p => this.formatParticipant(p));
+  }
+
+  async createGroup(accountId, label, { name, participants } = {}) {
+    if (!name || !String(name).trim()) throw codedError('name is required', 'INVALID_GROUP_REQUEST');
+    const client = this.clientOf(accountId, label);
+    const ids = this.normalizeParticipants(participants);
+
+    const result = await client.createGroup(String(name).trim(), ids);
+    // wwebjs returns an error string when WhatsApp rejects the request
+    if (typeof result === 'string') throw codedError(result, 'ACTION_REJECTED');
+
+    this.sessionManager.log('GROUP', 'Group created', { accountId, label, groupId: result.gid?._serialized });
+    return {
+      id: result.gid?._serialized,
+      name: result.title,
+      participants: this.formatResults(result.participants)
+    };
+  }
+
+  // Per-participant outcome ({ id: { statusCode|code, message } }) -> array
+  formatResults(results) {
+    if (!results || typeof results !== 'object') return [];
+    return Object.entries(results).map(([id, r]) => ({
+      id,
+      code: r?.statusCode ?? r?.code ?? null,
+      message: r?.message || null,
+      inviteSent: !!r?.isInviteV4Sent
+    }));
+  }
+
+  async addParticipants(accountId, label, groupId, participants) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    const result = await chat.addParticipants(this.normalizeParticipants(participants));
+    if (typeof result === 'string') throw codedError(result, 'ACTION_REJECTED');
+    return { groupId, participants: this.formatResults(result) };
+  }
+
+  async removeParticipants(accountId, label, groupId, participants) {
+    return this.changeParticipants(accountId, label, groupId, participants, 'removeParticipants');
+  }
+
+  async promoteParticipants(accountId, label, groupId, participants) {
+    return this.changeParticipants(accountId, label, groupId, participants, 'promoteParticipants');
+  }
+
+  async demoteParticipants(accountId, label, groupId, participants) {
+    return this.changeParticipants(accountId, label, groupId, participants, 'demoteParticipants');
+  }
+
+  async changeParticipants(accountId, label, groupId, participants, method) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    const ids = this.normalizeParticipants(participants);
+    const result = await chat[method](ids);
+    if (result?.status && result.status !== 200) {
+      throw codedError(`WhatsApp rejected the change (status ${result.status}); are you a group admin?`, 'ACTION_REJECTED');
+    }
+    return { groupId, participants: ids, status: result?.status ?? 200 };
+  }
+
+  // changes: { subject, description, messagesAdminsOnly, infoAdminsOnly }
+  async updateGroup(accountId, label, groupId, changes = {}) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    const steps = [
+      ['subject', (v) => chat.setSubject(String(v))],
+      ['description', (v) => chat.setDescription(String(v))],
+      ['messagesAdminsOnly', (v) => chat.setMessagesAdminsOnly(v === true || v === 'true')],
+      ['infoAdminsOnly', (v) => chat.setInfoAdminsOnly(v === true || v === 'true')]
+    ];
+
+    for (const [field, apply] of steps) {
+      if (changes[field] === undefined) continue;
+      const ok = await apply(changes[field]);
+      if (ok === false) throw codedError(`WhatsApp refused to change ${field}; are you a group admin?`, 'ACTION_REJECTED');
+    }
+    return this.getGroup(accountId, label, groupId);
+  }
+
+  async setPicture(accountId, label, groupId, { mimetype, data }) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    const ok = await chat.setPicture(new MessageMedia(mimetype, data));
+    if (!ok) throw codedError('WhatsApp refused to change the picture; are you a group admin?', 'ACTION_REJECTED');
+    return { groupId, picture: true };
+  }
+
+  async deletePicture(accountId, label, groupId) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    const ok = await chat.deletePicture();
+    if (!ok) throw codedError('WhatsApp refused to delete the picture; are you a group admin?', 'ACTION_REJECTED');
+    return { groupId, picture: false };
+  }
+
+  async getInvite(accountId, label, groupId) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    const code = await chat.getInviteCode();
+    return { groupId, code, link: `${INVITE_PREFIX}${code}` };
+  }
+
+  // Invalidates the current link and returns the new one
+  async revokeInvite(accountId, label, groupId) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    const code = await chat.revokeInvite();
+    return { groupId, code, link: `${INVITE_PREFIX}${code}` };
+  }
+
+  // Accepts a bare code or a chat.whatsapp.com link
+  async joinByInvite(accountId, label, invite) {
+    const client = this.clientOf(accountId, label);
+    const code = String(invite || '').trim().replace(INVITE_PREFIX, '').replace(/^https?:\/\/[^/]+\//, '');
+    if (!code) throw codedError('inviteCode is required', 'INVALID_GROUP_REQUEST');
+
+    const groupId = await client.acceptInvite(code);
+    this.sessionManager.log('GROUP', 'Joined group by invite', { accountId, label, groupId });
+    return { groupId };
+  }
+
+  async leaveGroup(accountId, label, groupId) {
+    const chat = await this.resolveGroup(accountId, label, groupId);
+    await chat.leave();
+    this.sessionManager.log('GROUP', 'Left group', { accountId, label, groupId });
+    return { groupId, left: true };
+  }
+}
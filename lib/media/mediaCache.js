@@ -0,0 +1,331 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const SESSIONS_DIR = 'sessions';
+
+// Percent-encodes every byte outside [A-Za-z0-9@-], so distinct values never share a
+// file name (no '/', '.' or '_' survives)
+const safeName = (value) => String(value).replace(/[^A-Za-z0-9@-]/gu, (char) => (
+  [...Buffer.from(char)].map(byte => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`).join('')
+));
+
+// Downloaded message media (and previews and contact avatars, as `<id>~<variant>`), per session:
+//   disk    <media.cacheDir>/sessions/<accountId>/<label>/<messageId>.bin (+ .json metadata), indexed
+//           in SQLite; evicted least-recently-used past cacheMaxBytes (in total) or
+//           cacheSessionMaxBytes (per session), and when unused for cacheMaxAgeMs
+//   memory  LRU of recent small files, capped at memoryBudgetBytes (and memoryCacheTtlMs)
+// Lookups return an entry: { file, size, mimetype, filename, etag, lastModified, source }
+// plus `buffer` when the bytes are in memory; larger files are meant to be streamed from `file`.
+export class MediaCache {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.db = sessionManager.db;
+    this.options = sessionManager.config.media;
+    this.root = path.resolve(this.options.cacheDir);
+    this.memory = new Map(); // key -> { entry, at }, oldest use first
+    this.memoryBytes = 0;
+    this.counters = { memoryHits: 0, diskHits: 0, misses: 0, writes: 0, evictions: { size: 0, age: 0, purge: 0 } };
+
+    fs.mkdirSync(this.root, { recursive: true });
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS media_cache (
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        file TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        mimetype TEXT,
+        filename TEXT,
+        created_at INTEGER NOT NULL,
+        accessed_at INTEGER NOT NULL,
+        PRIMARY KEY (account_id, label, message_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_media_cache_accessed ON media_cache(accessed_at);
+    `);
+
+    this.removeLegacyFiles();
+    sessionManager.on('session_destroyed', ({ accountId, label }) => {
+      this.purge(accountId, label).catch((error) => {
+        sessionManager.log('ERROR', 'Failed to purge media cache', { accountId, label, error: error.message });
+      });
+    });
+
+    this.sweepTimer = setInterval(() => this.enforceQuotas().catch(() => {}), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  keyOf(accountId, label, messageId) {
+    return `${accountId}::${label}::${messageId}`;
+  }
+
+  // One directory level per part: joined names could collide between sessions
+  dirOf(accountId, label) {
+    return path.join(this.root, SESSIONS_DIR, safeName(accountId), safeName(label));
+  }
+
+  // Everything else at the top is from earlier layouts: flat <messageId>.bin files (no
+  // session), <accountId>__<label>/ directories (ambiguous names) and avatars/ (before
+  // avatars were cache entries)
+  removeLegacyFiles() {
+    const legacy = fs.readdirSync(this.root).filter(name => name !== SESSIONS_DIR);
+    for (const name of legacy) fs.rmSync(path.join(this.root, name), { recursive: true, force: true });
+    const { changes } = this.db.prepare('DELETE FROM media_cache WHERE file NOT LIKE ?').run(`${SESSIONS_DIR}%`);
+    if (legacy.length || changes) {
+      this.sessionManager.log('SYSTEM', 'Removed media cache files from older layouts', { files: legacy.length, entries: changes });
+    }
+  }
+
+  // --- Memory tier ---
+
+  // One large video should not flush everything else
+  fitsInMemory(size) {
+    return size <= this.options.memoryBudgetBytes / 4;
+  }
+
+  getMemory(key) {
+    const cached = this.memory.get(key);
+    if (!cached) return null;
+    if (this.options.memoryCacheTtlMs && Date.now() - cached.at > this.options.memoryCacheTtlMs) {
+      this.dropMemory(key);
+      return null;
+    }
+    // Move to the most recently used end
+    this.memory.delete(key);
+    this.memory.set(key, cached);
+    return cached.entry;
+  }
+
+  setMemory(key, entry) {
+    this.dropMemory(key);
+    if (!this.fitsInMemory(entry.size)) return;
+
+    this.memory.set(key, { entry, at: Date.now() });
+    this.memoryBytes += entry.size;
+    for (const [oldest, cached] of this.memory) {
+      if (this.memoryBytes <= this.options.memoryBudgetBytes) break;
+      this.memory.delete(oldest);
+      this.memoryBytes -= cached.entry.size;
+    }
+  }
+
+  dropMemory(key) {
+    const cached = this.memory.get(key);
+    if (!cached) return;
+    this.memory.delete(key);
+    this.memoryBytes -= cached.entry.size;
+  }
+
+  // Index row -> entry (without bytes)
+  entryOf(row) {
+    const etag = crypto.createHash('sha1').update(`${row.file}:${row.size}:${row.created_at}`).digest('base64url');
+    return {
+      file: path.join(this.root, row.file),
+      size: row.size,
+      mimetype: row.mimetype,
+      filename: row.filename,
+      etag: `"${etag}"`,
+      lastModified: row.created_at
+    };
+  }
+
+  // --- Lookups ---
+
+  // Entry (source 'memory' or 'disk') or null
+  async get(accountId, label, messageId) {
+    const key = this.keyOf(accountId, label, messageId);
+    const memory = this.getMemory(key);
+    if (memory) {
+      this.counters.memoryHits++;
+      this.touch(accountId, label, messageId);
+      return { ...memory, source: 'memory' };
+    }
+
+    const row = this.db
+      .prepare('SELECT * FROM media_cache WHERE account_id = ? AND label = ? AND message_id = ?')
+      .get(accountId, label, messageId);
+    if (row) {
+      const entry = this.entryOf(row);
+      try {
+        // Small files are kept in memory for the next request; large ones stay on disk
+        if (this.fitsInMemory(entry.size)) {
+          entry.buffer = await fs.promises.readFile(entry.file);
+          this.setMemory(key, entry);
+        } else {
+          await fs.promises.access(entry.file);
+        }
+        this.counters.diskHits++;
+        this.touch(accountId, label, messageId);
+        return { ...entry, source: 'disk' };
+      } catch {
+        // File removed underneath us: forget it
+        this.deleteRow(row);
+      }
+    }
+
+    this.counters.misses++;
+    return null;
+  }
+
+  touch(accountId, label, messageId) {
+    this.db
+      .prepare('UPDATE media_cache SET accessed_at = ? WHERE account_id = ? AND label = ? AND message_id = ?')
+      .run(Date.now(), accountId, label, messageId);
+  }
+
+  async set(accountId, label, messageId, { buffer, mimetype, filename }) {
+    const dir = this.dirOf(accountId, label);
+    const name = safeName(messageId);
+    const file = path.relative(this.root, path.join(dir, `${name}.bin`));
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.root, file), buffer);
+    // Metadata next to the bytes, so the directory stays readable without the index
+    await fs.promises.writeFile(path.join(dir, `${name}.json`), JSON.stringify({ messageId, mimetype, filename }, null, 2));
+
+    const now = Date.now();
+    const row = {
+      account_id: accountId,
+      label,
+      message_id: messageId,
+      file,
+      size: buffer.length,
+      mimetype,
+      filename,
+      created_at: now,
+      accessed_at: now
+    };
+    this.db.prepare(`
+      INSERT OR REPLACE INTO media_cache (account_id, label, message_id, file, size, mimetype, filename, created_at, accessed_at)
+      VALUES (@account_id, @label, @message_id, @file, @size, @mimetype, @filename, @created_at, @accessed_at)
+    `).run(row);
+    this.counters.writes++;
+
+    const entry = { ...this.entryOf(row), buffer };
+    this.setMemory(this.keyOf(accountId, label, messageId), entry);
+    await this.enforceQuotas(accountId, label);
+    return { ...entry, source: 'whatsapp' };
+  }
+
+  // --- Eviction ---
+
+  async evict(rows, reason) {
+    for (const row of rows) {
+      this.dropMemory(this.keyOf(row.account_id, row.label, row.message_id));
+      await fs.promises.rm(path.join(this.root, row.file), { force: true });
+      await fs.promises.rm(path.join(this.root, row.file.replace(/\.bin$/, '.json')), { force: true });
+      this.deleteRow(row);
+      this.counters.evictions[reason]++;
+    }
+  }
+
+  deleteRow(row) {
+    this.db
+      .prepare('DELETE FROM media_cache WHERE account_id = ? AND label = ? AND message_id = ?')
+      .run(row.account_id, row.label, row.message_id);
+  }
+
+  // Least recently used rows (of `where`) adding up to at least `excess` bytes
+  lruRows(where, params, excess) {
+    const rows = [];
+    let freed = 0;
+    for (const row of this.db.prepare(`SELECT * FROM media_cache ${where} ORDER BY accessed_at`).iterate(...params)) {
+      if (freed >= excess) break;
+      rows.push(row);
+      freed += row.size;
+    }
+    return rows;
+  }
+
+  // Age first, then the session's quota (when given), then the total
+  async enforceQuotas(accountId = null, label = null) {
+    const { cacheMaxAgeMs, cacheMaxBytes, cacheSessionMaxBytes } = this.options;
+
+    if (cacheMaxAgeMs) {
+      const stale = this.db.prepare('SELECT * FROM media_cache WHERE accessed_at < ?').all(Date.now() - cacheMaxAgeMs);
+      await this.evict(stale, 'age');
+    }
+
+    if (cacheSessionMaxBytes && accountId) {
+      const { bytes } = this.db
+        .prepare('SELECT COALESCE(SUM(size), 0) AS bytes FROM media_cache WHERE account_id = ? AND label = ?')
+        .get(accountId, label);
+      if (bytes > cacheSessionMaxBytes) {
+        await this.evict(this.lruRows('WHERE account_id = ? AND label = ?', [accountId, label], bytes - cacheSessionMaxBytes), 'size');
+      }
+    }
+
+    if (cacheMaxBytes) {
+      const { bytes } = this.db.prepare('SELECT COALESCE(SUM(size), 0) AS bytes FROM media_cache').get();
+      if (bytes > cacheMaxBytes) await this.evict(this.lruRows('', [], bytes - cacheMaxBytes), 'size');
+    }
+  }
+
+  // Everything cached for a session (media and avatars)
+  async purge(accountId, label) {
+    const rows = this.db.prepare('SELECT * FROM media_cache WHERE account_id = ? AND label = ?').all(accountId, label);
+    await this.evict(rows, 'purge');
+    await fs.promises.rm(this.dirOf(accountId, label), { recursive: true, force: true });
+    // The account directory too, once its last session is gone
+    await fs.promises.rmdir(path.dirname(this.dirOf(accountId, label))).catch(() => {});
+    this.sessionManager.log('MEDIA', 'Media cache purged', { accountId, label, entries: rows.length });
+    return { accountId, label, purged: rows.length };
+  }
+
+  async purgeAll() {
+    const rows = this.db.prepare('SELECT * FROM media_cache').all();
+    await this.evict(rows, 'purge');
+    this.sessionManager.log('MEDIA', 'Media cache purged', { entries: rows.length });
+    return { purged: rows.length };
+  }
+
+  // --- Inspection ---
+
+  stats() {
+    const { memoryHits, diskHits, misses, writes, evictions } = this.counters;
+    const lookups = memoryHits + diskHits + misses;
+    const totals = this.db.prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes FROM media_cache').get();
+    const sessions = this.db.prepare(`
+      SELECT account_id AS accountId, label, COUNT(*) AS entries, SUM(size) AS bytes
+      FROM media_cache GROUP BY account_id, label ORDER BY bytes DESC
+    `).all();
+
+    return {
+      disk: { entries: totals.entries, bytes: totals.bytes, maxBytes: this.options.cacheMaxBytes || null },
+      memory: { entries: this.memory.size, bytes: this.memoryBytes, budgetBytes: this.options.memoryBudgetBytes },
+      lookups,
+      memoryHits,
+      diskHits,
+      misses,
+      hitRate: lookups ? Number(((memoryHits + diskHits) / lookups).toFixed(4)) : null,
+      writes,
+      evictions,
+      sessions
+    };
+  }
+
+  sessionStats(accountId, label, { limit = 50 } = {}) {
+    const capped = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const totals = this.db
+      .prepare('SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes FROM media_cache WHERE account_id = ? AND label = ?')
+      .get(accountId, label);
+    const entries = this.db
+      .prepare('SELECT * FROM media_cache WHERE account_id = ? AND label = ? ORDER BY accessed_at DESC LIMIT ?')
+      .all(accountId, label, capped)
+      .map(row => ({
+        messageId: row.message_id,
+        size: row.size,
+        mimetype: row.mimetype,
+        filename: row.filename,
+        inMemory: this.memory.has(this.keyOf(accountId, label, row.message_id)),
+        createdAt: new Date(row.created_at).toISOString(),
+        accessedAt: new Date(row.accessed_at).toISOString()
+      }));
+    return { accountId, label, entries: totals.entries, bytes: totals.bytes, recent: entries };
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+  }
+}
@@ -0,0 +1,109 @@
+import { MediaConverter } from '../utils/mediaConverter.js';
+import { memoryEntry } from './mediaResponse.js';
+import { codedError } from '../utils/errors.js';
+
+const FORMATS = ['jpeg', 'webp'];
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 1280;
+const DEFAULT_WIDTH = 320;
+const WAVEFORM_BARS = 64;
+
+const kindOf = (mimetype = '') => {
+  if (mimetype === 'application/pdf') return 'pdf';
+  const [type] = mimetype.split('/');
+  return ['image', 'video', 'audio'].includes(type) ? type : null;
+};
+
+// Derived versions of message media, generated on first request and kept in the media
+// cache next to the original (so the same quotas and purges apply):
+//   thumb     JPEG/WebP still of an image, video or PDF, `width` px wide
+//   waveform  { duration, waveform } JSON for audio
+// Concurrent requests for the same preview share one conversion, which is cancelled once
+// every one of them has gone away.
+export class MediaPreviews {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.mediaCache = sessionManager.mediaCache;
+    this.pending = new Map(); // cache key -> { promise, controller, waiters }
+  }
+
+  // Query string -> { variant, width, format }
+  parse({ variant, w, format }) {
+    if (variant === 'waveform') return { variant };
+    if (variant !== 'thumb') {
+      throw codedError('variant must be "thumb" or "waveform"', 'INVALID_PREVIEW_REQUEST');
+    }
+    const width = w === undefined ? DEFAULT_WIDTH : Number(w);
+    if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+      throw codedError(`w must be an integer from ${MIN_WIDTH} to ${MAX_WIDTH}`, 'INVALID_PREVIEW_REQUEST');
+    }
+    if (format !== undefined && !FORMATS.includes(format)) {
+      throw codedError(`format must be one of: ${FORMATS.join(', ')}`, 'INVALID_PREVIEW_REQUEST');
+    }
+    return { variant, width, format: format || 'jpeg' };
+  }
+
+  // Cached as a message id of its own: <messageId>~thumb-320.jpeg, <messageId>~waveform
+  keyOf(messageId, { variant, width, format }) {
+    return variant === 'thumb' ? `${messageId}~thumb-${width}.${format}` : `${messageId}~${variant}`;
+  }
+
+  // Media cache entry for the preview, or null when the original is not available.
+  // loadOriginal() resolves to the original's entry (or null); it is only called on a miss.
+  // `signal` aborts when the caller no longer wants the result.
+  async get(accountId, label, messageId, options, loadOriginal, signal) {
+    const previewId = this.keyOf(messageId, options);
+    const cached = await this.mediaCache.get(accountId, label, previewId);
+    if (cached) return cached;
+
+    const key = this.mediaCache.keyOf(accountId, label, previewId);
+    let job = this.pending.get(key);
+    if (!job) {
+      job = { controller: new AbortController(), waiters: 0 };
+      job.promise = this.generate(accountId, label, previewId, options, loadOriginal, job.controller.signal)
+        .finally(() => {
+          if (this.pending.get(key) === job) this.pending.delete(key);
+        });
+      this.pending.set(key, job);
+    }
+
+    job.waiters++;
+    signal?.addEventListener('abort', () => {
+      if (--job.waiters > 0) return;
+      // Later requests start over rather than join a cancelled job
+      if (this.pending.get(key) === job) this.pending.delete(key);
+      job.controller.abort();
+    }, { once: true });
+    return job.promise;
+  }
+
+  async generate(accountId, label, previewId, options, loadOriginal, signal) {
+    const original = await loadOriginal();
+    if (!original) return null;
+
+    const kind = kindOf(original.mimetype);
+    const supported = options.variant === 'thumb' ? ['image', 'video', 'pdf'] : ['audio'];
+    if (!supported.includes(kind)) {
+      throw codedError(`No ${options.variant} preview for ${original.mimetype || 'unknown type'}`, 'PREVIEW_UNSUPPORTED');
+    }
+
+    // Cached originals are read by ffmpeg from disk
+    const input = original.file ? { path: original.file } : original.buffer.toString('base64');
+    const started = Date.now();
+    let preview;
+    if (options.variant === 'thumb') {
+      preview = await MediaConverter.createThumbnail(input, original.mimetype, { ...options, signal });
+    } else {
+      const analysis = await MediaConverter.analyzeAudio(input, { bars: WAVEFORM_BARS, signal });
+      preview = { buffer: Buffer.from(JSON.stringify(analysis)), mimetype: 'application/json', filename: 'waveform.json' };
+    }
+
+    this.sessionManager.log('MEDIA', 'Preview generated', {
+      accountId, label, preview: previewId, bytes: preview.buffer.length, ms: Date.now() - started
+    });
+    return this.mediaCache.set(accountId, label, previewId, preview).catch((error) => {
+      this.sessionManager.log('ERROR', 'Failed to cache preview', { accountId, label, preview: previewId, error: error.message });
+      return memoryEntry(preview.buffer, preview);
+    });
+  }
+}
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// HTTP dates have second precision
+const seconds = (ms) => Math.floor(ms / 1000);
+
+// An entry for bytes that only exist in memory (download succeeded, caching did not)
+export function memoryEntry(buffer, { mimetype, filename }) {
+  return {
+    buffer,
+    size: buffer.length,
+    mimetype,
+    filename,
+    etag: `"${crypto.createHash('sha1').update(buffer).digest('base64url')}"`,
+    lastModified: Date.now(),
+    source: 'whatsapp'
+  };
+}
+
+// If-None-Match takes precedence over If-Modified-Since (RFC 9110 13.2.2)
+function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+  const since = Date.parse(req.headers['if-modified-since'] || '');
+  return !Number.isNaN(since) && seconds(lastModified) <= seconds(since);
+}
+
+// If-Range: a Range is only honoured while the client's copy is still current
+function rangeApplies(req, { etag, lastModified }) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && seconds(lastModified) === seconds(date);
+}
+
+function bodyOf(entry, start, end) {
+  return entry.buffer
+    ? Readable.from([entry.buffer.subarray(start, end + 1)])
+    : fs.createReadStream(entry.file, { start, end });
+}
+
+// Aborted downloads are routine (players seek, tabs close)
+async function send(res, stream) {
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+  }
+}
+
+// Serve a media cache entry: conditional requests (ETag / Last-Modified), single and
+// multiple byte ranges, streamed from disk unless the bytes are already in memory.
+export async function serveMedia(req, res, entry) {
+  const { size, mimetype, filename } = entry;
+
+  res.setHeader('ETag', entry.etag);
+  res.setHeader('Last-Modified', new Date(entry.lastModified).toUTCString());
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'private, no-cache');
+  if (isNotModified(req, entry)) return res.status(304).end();
+
+  res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
+
+  // -2 (malformed) and non-byte units are ignored, as if no Range was sent
+  let ranges = req.headers.range && rangeApplies(req, entry) ? req.range(size, { combine: true }) : undefined;
+  if (ranges === -2 || (Array.isArray(ranges) && ranges.type !== 'bytes')) ranges = undefined;
+
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  if (!ranges) {
+    res.status(200);
+    res.setHeader('Content-Type', mimetype);
+    res.setHeader('Content-Length', String(size));
+    if (req.method === 'HEAD') return res.end();
+    return send(res, bodyOf(entry, 0, size - 1));
+  }
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.status(206);
+    res.setHeader('Content-Type', mimetype);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', String(end - start + 1));
+    if (req.method === 'HEAD') return res.end();
+    return send(res, bodyOf(entry, start, end));
+  }
+
+  // multipart/byteranges: each part has its own headers; the total length is known up front
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const heads = ranges.map(({ start, end }) => Buffer.from(
+    `\r\n--${boundary}\r\nContent-Type: ${mimetype}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  ));
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const length = ranges.reduce((sum, { start, end }, i) => sum + heads[i].length + end - start + 1, tail.length);
+
+  res.status(206);
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', String(length));
+  if (req.method === 'HEAD') return res.end();
+
+  async function* parts() {
+    for (const [i, { start, end }] of ranges.entries()) {
+      yield heads[i];
+      yield* bodyOf(entry, start, end);
+    }
+    yield tail;
+  }
+  return send(res, Readable.from(parts()));
+}
@@ -0,0 +1,348 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const JOB_TYPES = ['text', 'media', 'voice'];
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 30000;
+const MAX_TIMER_MS = 60 * 60 * 1000; // re-check far-future jobs at least hourly
+const FINAL_STATUSES = ['sent', 'failed', 'cancelled'];
+
+// Durable outbound queue per accountId::label. Jobs are paced per session and only
+// sent while the session is `ready`; they survive restarts in the shared store.
+// Uploaded files for media/voice jobs wait in outbox.spoolDir (the job stores the path)
+// and are deleted once the job is sent, failed or cancelled.
+export class OutboxManager extends EventEmitter {
+  constructor(sessionManager) {
+    super();
+    this.sessionManager = sessionManager;
+    this.db = sessionManager.db;
+    this.spoolDir = path.resolve(sessionManager.config.outbox.spoolDir);
+    this.timers = new Map();   // key -> timeout
+    this.busy = new Set();     // keys currently sending
+    this.lastSentAt = new Map();
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS outbox_jobs (
+        id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        send_at INTEGER NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        result TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox_jobs(account_id, label, status, send_at);
+
+      CREATE TABLE IF NOT EXISTS outbox_settings (
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        settings TEXT NOT NULL,
+        PRIMARY KEY (account_id, label)
+      );
+    `);
+
+    // A job that was mid-send when the process stopped may or may not have reached
+    // WhatsApp; resending could duplicate it, so it fails for the client to check
+    const { changes } = this.db
+      .prepare("UPDATE outbox_jobs SET status = 'failed', error = ?, updated_at = ? WHERE status = 'sending'")
+      .run('Interrupted while sending, delivery unknown', Date.now());
+    if (changes) this.sessionManager.log('OUTBOX', 'Jobs interrupted while sending marked failed', { jobs: changes });
+
+    fs.mkdirSync(this.spoolDir, { recursive: true });
+    this.removeOrphanedSpool();
+
+    sessionManager.on('status', ({ accountId, label, status }) => {
+      if (status === 'ready') this.kick(accountId, label);
+    });
+  }
+
+  keyOf(accountId, label) {
+    return `${accountId}::${label}`;
+  }
+
+  // --- Settings ---
+
+  getSettings(accountId, label) {
+    const row = this.db
+      .prepare('SELECT settings FROM outbox_settings WHERE account_id = ? AND label = ?')
+      .get(accountId, label);
+    const { messagesPerMinute, jitterMs } = this.sessionManager.config.outbox;
+    return { messagesPerMinute, jitterMs, ...(row ? JSON.parse(row.settings) : {}) };
+  }
+
+  updateSettings(accountId, label, changes = {}) {
+    const settings = this.getSettings(accountId, label);
+    if (changes.messagesPerMinute !== undefined) {
+      const value = Number(changes.messagesPerMinute);
+      if (!(value > 0 && value <= 600)) throw new Error('messagesPerMinute must be between 1 and 600');
+      settings.messagesPerMinute = value;
+    }
+    if (changes.jitterMs !== undefined) {
+      const value = Number(changes.jitterMs);
+      if (!(value >= 0 && value <= 10 * 60 * 1000)) throw new Error('jitterMs must be between 0 and 600000');
+      settings.jitterMs = value;
+    }
+    this.db.prepare(`
+      INSERT INTO outbox_settings (account_id, label, settings) VALUES (?, ?, ?)
+      ON CONFLICT(account_id, label) DO UPDATE SET settings = excluded.settings
+    `).run(accountId, label, JSON.stringify(settings));
+    return settings;
+  }
+
+  // Delay before the next send: the per-minute interval plus random jitter
+  nextDelay(settings) {
+    return Math.ceil(60000 / settings.messagesPerMinute) + Math.floor(Math.random() * (settings.jitterMs + 1));
+  }
+
+  // --- Spool ---
+
+  // Move a spooled upload (multer file) into the outbox spool; returns its new path
+  async spoolUpload(file) {
+    const target = path.join(this.spoolDir, crypto.randomUUID());
+    try {
+      await fs.promises.rename(file.path, target);
+    } catch (error) {
+      // Upload dir on another filesystem
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(file.path, target);
+      await fs.promises.rm(file.path, { force: true });
+    }
+    return target;
+  }
+
+  // The spool file a job payload points at, if any
+  spooledFileOf(type, payload) {
+    const file = type === 'media' ? payload.mediaData?.path : type === 'voice' ? payload.audioData?.path : null;
+    return file && path.dirname(path.resolve(file)) === this.spoolDir ? file : null;
+  }
+
+  releaseSpool(row) {
+    const file = this.spooledFileOf(row.type, JSON.parse(row.payload));
+    if (file) fs.rm(file, { force: true }, () => {});
+  }
+
+  // Files left by jobs that finished while their file could not be removed (crash)
+  removeOrphanedSpool() {
+    const open = new Set(this.db
+      .prepare("SELECT type, payload FROM outbox_jobs WHERE type IN ('media', 'voice') AND status IN ('queued', 'sending')")
+      .all()
+      .map(row => this.spooledFileOf(row.type, JSON.parse(row.payload)))
+      .filter(Boolean));
+    for (const name of fs.readdirSync(this.spoolDir)) {
+      const file = path.join(this.spoolDir, name);
+      if (!open.has(file)) fs.rmSync(file, { force: true });
+    }
+  }
+
+  // --- Jobs ---
+
+  parseSendAt(sendAt) {
+    if (sendAt === undefined || sendAt === null || sendAt === '') return Date.now();
+    const ms = typeof sendAt === 'number' || /^\d+$/.test(String(sendAt))
+      ? Number(sendAt)
+      : Date.parse(sendAt);
+    if (isNaN(ms)) throw new Error('sendAt must be an ISO date or a timestamp in milliseconds');
+    return ms;
+  }
+
+  // type: text -> { content }, media -> { mediaData }, voice -> { audioData, originalMime }
+  // (mediaData.path / audioData.path: a file from spoolUpload())
+  enqueue(accountId, label, chatId, type, payload, { sendAt } = {}) {
+    if (!JOB_TYPES.includes(type)) throw new Error(`Unknown job type: ${type}`);
+    if (!chatId) throw new Error('chatId is required');
+
+    const now = Date.now();
+    const row = {
+      id: crypto.randomUUID(),
+      account_id: accountId,
+      label,
+      chat_id: chatId,
+      type,
+      payload: JSON.stringify(payload),
+      status: 'queued',
+      send_at: this.parseSendAt(sendAt),
+      attempts: 0,
+      error: null,
+      result: null,
+      created_at: now,
+      updated_at: now
+    };
+    this.db.prepare(`
+      INSERT INTO outbox_jobs (id, account_id, label, chat_id, type, payload, status, send_at, attempts, created_at, updated_at)
+      VALUES (@id, @account_id, @label, @chat_id, @type, @payload, @status, @send_at, @attempts, @created_at, @updated_at)
+    `).run(row);
+
+    const job = this.formatJob(row);
+    this.notify(job);
+    this.kick(accountId, label);
+    return job;
+  }
+
+  formatJob(row) {
+    if (!row) return null;
+    const payload = JSON.parse(row.payload);
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      label: row.label,
+      chatId: row.chat_id,
+      type: row.type,
+      status: row.status,
+      // Never echo media data back; text is short enough to preview
+      preview: row.type === 'text'
+        ? String(payload.content).slice(0, 100)
+        : payload.mediaData?.filename || payload.originalMime || null,
+      sendAt: new Date(row.send_at).toISOString(),
+      attempts: row.attempts,
+      error: row.error,
+      result: row.result ? JSON.parse(row.result) : null,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  getRow(accountId, label, jobId) {
+    return this.db
+      .prepare('SELECT * FROM outbox_jobs WHERE id = ? AND account_id = ? AND label = ?')
+      .get(jobId, accountId, label);
+  }
+
+  getJob(accountId, label, jobId) {
+    return this.formatJob(this.getRow(accountId, label, jobId));
+  }
+
+  listJobs(accountId, label, { status, limit = 50 } = {}) {
+    const capped = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const rows = status
+      ? this.db.prepare('SELECT * FROM outbox_jobs WHERE account_id = ? AND label = ? AND status = ? ORDER BY send_at DESC LIMIT ?')
+        .all(accountId, label, status, capped)
+      : this.db.prepare('SELECT * FROM outbox_jobs WHERE account_id = ? AND label = ? ORDER BY send_at DESC LIMIT ?')
+        .all(accountId, label, capped);
+    return rows.map(row => this.formatJob(row));
+  }
+
+  // Cancel a job that has not started sending. Returns the job, or null if not found.
+  cancelJob(accountId, label, jobId) {
+    const row = this.getRow(accountId, label, jobId);
+    if (!row) return null;
+    if (row.status !== 'queued') {
+      const error = new Error(`Job is already ${row.status}`);
+      error.code = 'JOB_NOT_CANCELLABLE';
+      throw error;
+    }
+    this.updateJob(row.id, { status: 'cancelled' });
+    this.releaseSpool(row);
+    const job = this.getJob(accountId, label, jobId);
+    this.notify(job);
+    return job;
+  }
+
+  updateJob(jobId, fields) {
+    const sets = Object.keys(fields).map(k => `${k} = @${k}`);
+    this.db
+      .prepare(`UPDATE outbox_jobs SET ${sets.join(', ')}, updated_at = @updated_at WHERE id = @id`)
+      .run({ ...fields, id: jobId, updated_at: Date.now() });
+  }
+
+  // Progress goes out as `outbox` / `outbox:<accountId>:<label>` Socket.IO events
+  notify(job) {
+    this.sessionManager.emit('outbox', { accountId: job.accountId, label: job.label, job });
+  }
+
+  // --- Worker ---
+
+  kick(accountId, label) {
+    this.schedule(accountId, label, 0);
+  }
+
+  schedule(accountId, label, delayMs) {
+    const key = this.keyOf(accountId, label);
+    clearTimeout(this.timers.get(key));
+    const timer = setTimeout(() => {
+      this.timers.delete(key);
+      this.process(accountId, label).catch((error) => {
+        this.sessionManager.log('ERROR', 'Outbox processing failed', { accountId, label, error: error.message });
+      });
+    }, Math.min(Math.max(0, delayMs), MAX_TIMER_MS));
+    timer.unref();
+    this.timers.set(key, timer);
+  }
+
+  async process(accountId, label) {
+    const key = this.keyOf(accountId, label);
+    if (this.busy.has(key)) return;
+
+    const now = Date.now();
+    const job = this.db.prepare(`
+      SELECT * FROM outbox_jobs
+      WHERE account_id = ? AND label = ? AND status = 'queued'
+      ORDER BY send_at, created_at LIMIT 1
+    `).get(accountId, label);
+    if (!job) return;
+    if (job.send_at > now) return this.schedule(accountId, label, job.send_at - now);
+
+    // Not ready: the `ready` status event kicks the queue again
+    const state = this.sessionManager.states.get(key);
+    if (state !== 'ready') {
+      if (state === 'hibernated') {
+        this.sessionManager.wakeSession(accountId, label).catch((error) => {
+          this.sessionManager.log('ERROR', 'Failed to wake session for outbox', { accountId, label, error: error.message });
+        });
+      }
+      return;
+    }
+
+    const settings = this.getSettings(accountId, label);
+    const last = this.lastSentAt.get(key) || 0;
+    const wait = last + Math.ceil(60000 / settings.messagesPerMinute) - now;
+    if (wait > 0) return this.schedule(accountId, label, wait);
+
+    this.busy.add(key);
+    const attempts = job.attempts + 1;
+    this.updateJob(job.id, { status: 'sending', attempts });
+    this.notify(this.getJob(accountId, label, job.id));
+
+    try {
+      const message = await this.send(accountId, label, job);
+      this.updateJob(job.id, { status: 'sent', error: null, result: JSON.stringify(message) });
+    } catch (error) {
+      const retry = attempts < MAX_ATTEMPTS;
+      this.updateJob(job.id, {
+        status: retry ? 'queued' : 'failed',
+        error: error.message,
+        send_at: retry ? Date.now() + RETRY_DELAY_MS * attempts : job.send_at
+      });
+      this.sessionManager.log('ERROR', 'Outbox send failed', { accountId, label, jobId: job.id, attempts, error: error.message });
+    } finally {
+      this.busy.delete(key);
+      this.lastSentAt.set(key, Date.now());
+    }
+    if (FINAL_STATUSES.includes(this.getRow(accountId, label, job.id)?.status)) this.releaseSpool(job);
+
+    this.notify(this.getJob(accountId, label, job.id));
+    this.schedule(accountId, label, this.nextDelay(settings));
+  }
+
+  send(accountId, label, job) {
+    const chatManager = this.sessionManager.getChatManager();
+    const payload = JSON.parse(job.payload);
+    switch (job.type) {
+      case 'text':
+        return chatManager.sendMessage(accountId, label, job.chat_id, payload.content, payload.options);
+      case 'media':
+        return chatManager.sendMedia(accountId, label, job.chat_id, payload.mediaData, payload.options);
+      case 'voice':
+        return chatManager.sendVoiceNote(accountId, label, job.chat_id, payload.audioData, payload.originalMime);
+      default:
+        throw new Error(`Unknown job type: ${job.type}`);
+    }
+  }
+}
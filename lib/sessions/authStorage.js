@@ -0,0 +1,337 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import {
+  S3Client,
+  HeadObjectCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+
+const LOCAL_PREFIX = 'session-';
+const REMOTE_PREFIX = 'RemoteAuth-';
+const REMOTE_ARCHIVE = 'session.zip';
+
+// Browser caches: rebuilt by Chromium, not worth exporting
+const CACHE_DIRS = new Set(['Cache', 'Code Cache', 'GPUCache', 'DawnCache', 'GrShaderCache', 'ShaderCache', 'CacheStorage', 'Crashpad']);
+
+// accountId + label -> wwebjs clientId
+export function clientIdOf(accountId, label) {
+  return `${accountId}__${label}`;
+}
+
+// wwebjs clientId -> { accountId, label }. Older installs used other names; those are
+// flagged `legacy` since initSession() would not find them under the mapped identity.
+export function parseClientId(clientId) {
+  if (!clientId) return null;
+
+  if (clientId.includes('__')) {
+    const [accountId, label] = clientId.split('__');
+    if (accountId && label) return { accountId, label };
+  }
+
+  if (clientId === 'default-client') {
+    return { accountId: 'default', label: 'main', legacy: true, clientId };
+  }
+
+  return { accountId: 'legacy', label: clientId, legacy: true, clientId };
+}
+
+async function walk(root, dir = root) {
+  const files = [];
+  for (const item of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, item.name);
+    if (item.isDirectory()) {
+      if (!CACHE_DIRS.has(item.name)) files.push(...await walk(root, full));
+    } else if (item.isFile()) {
+      files.push(path.relative(root, full));
+    }
+  }
+  return files;
+}
+
+// The original layout: LocalAuth browser profiles under dataPath (session-<clientId>).
+// Nothing leaves the machine.
+export class LocalAuthStorage {
+  constructor(dataPath) {
+    this.backend = 'local';
+    this.remote = false;
+    this.dataPath = dataPath;
+  }
+
+  async list() {
+    const items = await fs.promises.readdir(this.dataPath, { withFileTypes: true });
+    return items
+      .filter(item => item.isDirectory() && item.name.startsWith(LOCAL_PREFIX))
+      .map(item => ({ directory: item.name, ...parseClientId(item.name.slice(LOCAL_PREFIX.length)) }));
+  }
+
+  dirOf(clientId) {
+    return path.join(this.dataPath, `${LOCAL_PREFIX}${clientId}`);
+  }
+
+  async remove(accountId, label) {
+    await fs.promises.rm(this.dirOf(clientIdOf(accountId, label)), { recursive: true, force: true });
+  }
+
+  async exists(clientId) {
+    return fs.existsSync(this.dirOf(clientId));
+  }
+
+  async rename(fromClientId, toClientId) {
+    await fs.promises.rename(this.dirOf(fromClientId), this.dirOf(toClientId));
+  }
+
+  // The browser profile as [{ path, data }], caches left out
+  async read(clientId) {
+    const root = this.dirOf(clientId);
+    const files = [];
+    for (const file of await walk(root)) {
+      files.push({ path: file.split(path.sep).join('/'), data: await fs.promises.readFile(path.join(root, file)) });
+    }
+    return files;
+  }
+
+  // Replace the profile with the given files
+  async write(clientId, files) {
+    const root = path.resolve(this.dirOf(clientId));
+    await fs.promises.rm(root, { recursive: true, force: true });
+    for (const file of files) {
+      const target = path.resolve(root, file.path);
+      if (!target.startsWith(root + path.sep)) throw new Error(`Unsafe path in archive: ${file.path}`);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, file.data);
+    }
+  }
+}
+
+// RemoteAuth: the browser profile under dataPath is scratch space; wwebjs zips it into
+// `store` every backupIntervalMs and unpacks it from there when the session starts, so
+// the login survives losing the local disk or moving to another host.
+export class RemoteAuthStorage {
+  constructor(backend, dataPath, store, { backupIntervalMs }) {
+    this.backend = backend;
+    this.remote = true;
+    this.dataPath = dataPath;
+    this.store = store;
+    this.backupIntervalMs = backupIntervalMs;
+  }
+
+  async list() {
+    const names = await this.store.list();
+    return names
+      .filter(name => name.startsWith(REMOTE_PREFIX))
+      .map(name => ({ name, ...parseClientId(name.slice(REMOTE_PREFIX.length)) }));
+  }
+
+  async remove(accountId, label) {
+    const name = `${REMOTE_PREFIX}${clientIdOf(accountId, label)}`;
+    await this.store.delete({ session: name });
+    await fs.promises.rm(path.join(this.dataPath, name), { recursive: true, force: true });
+    await fs.promises.rm(path.join(this.dataPath, `${name}.zip`), { force: true });
+  }
+
+  async exists(clientId) {
+    return this.store.sessionExists({ session: `${REMOTE_PREFIX}${clientId}` });
+  }
+
+  async rename(fromClientId, toClientId) {
+    await this.write(toClientId, await this.read(fromClientId));
+    await this.store.delete({ session: `${REMOTE_PREFIX}${fromClientId}` });
+  }
+
+  // The stored zip, as a single file (its format is RemoteAuth's business)
+  async read(clientId) {
+    const temp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'auth-'));
+    try {
+      const file = path.join(temp, REMOTE_ARCHIVE);
+      await this.store.extract({ session: `${REMOTE_PREFIX}${clientId}`, path: file });
+      return [{ path: REMOTE_ARCHIVE, data: await fs.promises.readFile(file) }];
+    } finally {
+      await fs.promises.rm(temp, { recursive: true, force: true });
+    }
+  }
+
+  async write(clientId, files) {
+    const archive = files.find(f => f.path === REMOTE_ARCHIVE);
+    if (!archive) throw new Error(`Expected ${REMOTE_ARCHIVE} in archive`);
+    const temp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'auth-'));
+    try {
+      const session = path.join(temp, `${REMOTE_PREFIX}${clientId}`);
+      await fs.promises.writeFile(`${session}.zip`, archive.data);
+      await this.store.save({ session });
+    } finally {
+      await fs.promises.rm(temp, { recursive: true, force: true });
+    }
+  }
+}
+
+// The stores below implement the wwebjs RemoteAuth store interface (sessionExists, save,
+// extract, delete) plus list(). save() receives the session name with or without
+// dataPath depending on the wwebjs version; the zip to upload is always `${session}.zip`.
+const nameOf = (session) => path.basename(session);
+
+// Zips in a directory; point it at an NFS/SMB mount or a volume shared between hosts
+export class FilesystemStore {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  fileOf(session) {
+    return path.join(this.dir, `${nameOf(session)}.zip`);
+  }
+
+  async sessionExists({ session }) {
+    return fs.existsSync(this.fileOf(session));
+  }
+
+  // Copy then rename so readers never see a half-written zip
+  async save({ session }) {
+    const target = this.fileOf(session);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.copyFile(`${session}.zip`, temp);
+    await fs.promises.rename(temp, target);
+  }
+
+  async extract({ session, path: destination }) {
+    await fs.promises.copyFile(this.fileOf(session), destination);
+  }
+
+  async delete({ session }) {
+    await fs.promises.rm(this.fileOf(session), { force: true });
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.dir);
+    return files.filter(f => f.endsWith('.zip')).map(f => f.slice(0, -'.zip'.length));
+  }
+}
+
+// S3 or any compatible service (MinIO, R2, ...): one object per session under `prefix`
+export class S3Store {
+  constructor({ endpoint, region, bucket, prefix, accessKeyId, secretAccessKey, forcePathStyle }) {
+    this.bucket = bucket;
+    this.prefix = prefix || '';
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      // Without explicit keys the SDK's default chain applies (env, profile, instance role)
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  keyOf(session) {
+    return `${this.prefix}${nameOf(session)}.zip`;
+  }
+
+  async sessionExists({ session }) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.keyOf(session) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async save({ session }) {
+    const file = `${session}.zip`;
+    const { size } = await fs.promises.stat(file);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.keyOf(session),
+      Body: fs.createReadStream(file),
+      ContentLength: size,
+      ContentType: 'application/zip'
+    }));
+  }
+
+  async extract({ session, path: destination }) {
+    const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.keyOf(session) }));
+    await pipeline(Body, fs.createWriteStream(destination));
+  }
+
+  async delete({ session }) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.keyOf(session) }));
+  }
+
+  async list() {
+    const names = [];
+    let token;
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        ContinuationToken: token
+      }));
+      for (const { Key } of page.Contents || []) {
+        const rest = Key.slice(this.prefix.length);
+        if (rest.endsWith('.zip') && !rest.includes('/')) names.push(rest.slice(0, -'.zip'.length));
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+    return names;
+  }
+}
+
+// Zips as blobs in the SQLite store (store.path)
+export class DatabaseStore {
+  constructor(db) {
+    this.db = db;
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        name TEXT PRIMARY KEY,
+        data BLOB NOT NULL,
+        size INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  }
+
+  async sessionExists({ session }) {
+    return !!this.db.prepare('SELECT 1 FROM auth_sessions WHERE name = ?').get(nameOf(session));
+  }
+
+  async save({ session }) {
+    const data = await fs.promises.readFile(`${session}.zip`);
+    this.db
+      .prepare('INSERT OR REPLACE INTO auth_sessions (name, data, size, updated_at) VALUES (?, ?, ?, ?)')
+      .run(nameOf(session), data, data.length, Date.now());
+  }
+
+  async extract({ session, path: destination }) {
+    const row = this.db.prepare('SELECT data FROM auth_sessions WHERE name = ?').get(nameOf(session));
+    if (!row) throw new Error(`No stored auth for ${nameOf(session)}`);
+    await fs.promises.writeFile(destination, row.data);
+  }
+
+  async delete({ session }) {
+    this.db.prepare('DELETE FROM auth_sessions WHERE name = ?').run(nameOf(session));
+  }
+
+  async list() {
+    return this.db.prepare('SELECT name FROM auth_sessions ORDER BY name').all().map(r => r.name);
+  }
+}
+
+// The storage selected by config.storage.backend
+export function createAuthStorage(config, db) {
+  const { dataPath } = config.sessions;
+  const { backend, backupIntervalMs } = config.storage;
+
+  switch (backend) {
+    case 'filesystem':
+      return new RemoteAuthStorage(backend, dataPath, new FilesystemStore(config.storage.path), { backupIntervalMs });
+    case 's3':
+      return new RemoteAuthStorage(backend, dataPath, new S3Store(config.storage.s3), { backupIntervalMs });
+    case 'database':
+      return new RemoteAuthStorage(backend, dataPath, new DatabaseStore(db), { backupIntervalMs });
+    default:
+      return new LocalAuthStorage(dataPath);
+  }
+}
@@ -0,0 +1,136 @@
+import { sessionOfPath } from '../utils/sessionPath.js';
+import { codedError } from '../utils/errors.js';
+
+const SWEEP_INTERVAL_MS = 60000;
+
+// Closes the browser of idle sessions (their auth data is kept) and wakes them
+// again when a request for that session arrives.
+export class SessionHibernator {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.lastActivity = new Map(); // key -> ms
+    this.waking = new Map();       // key -> Promise
+
+    sessionManager.on('status', ({ accountId, label, status }) => {
+      if (status === 'ready') this.touch(accountId, label);
+    });
+    sessionManager.on('session_destroyed', ({ accountId, label }) => {
+      this.lastActivity.delete(sessionManager.keyOf(accountId, label));
+    });
+  }
+
+  start() {
+    if (!this.sessionManager.options.idleTimeoutMs || this.interval) return this;
+    this.interval = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.interval.unref();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  touch(accountId, label) {
+    this.lastActivity.set(this.sessionManager.keyOf(accountId, label), Date.now());
+  }
+
+  isHibernated(accountId, label) {
+    return this.sessionManager.states.get(this.sessionManager.keyOf(accountId, label)) === 'hibernated';
+  }
+
+  sweep() {
+    const sm = this.sessionManager;
+    const now = Date.now();
+    for (const key of sm.clients.keys()) {
+      if (sm.states.get(key) !== 'ready') continue;
+      const last = this.lastActivity.get(key) || now;
+      if (now - last < sm.options.idleTimeoutMs) continue;
+
+      const [accountId, label] = key.split('::');
+      this.hibernate(accountId, label).catch((error) => {
+        sm.log('ERROR', `Failed to hibernate ${key}`, { error: error.message });
+      });
+    }
+  }
+
+  async hibernate(accountId, label) {
+    const sm = this.sessionManager;
+    const key = sm.keyOf(accountId, label);
+    if (!sm.clients.has(key)) throw new Error('Session not found');
+
+    await sm.closeClient(accountId, label);
+    sm.states.set(key, 'hibernated');
+    sm.log('SESSION', `Hibernated idle session ${key}`);
+    sm.emit('status', { accountId, label, status: 'hibernated', hasQr: false });
+    sm.releaseSlot();
+    return { accountId, label, status: 'hibernated' };
+  }
+
+  // Re-initialize a hibernated session and resolve once it is ready. Only resumes:
+  // sessions that are not hibernated (or do not exist) are never started from here.
+  wake(accountId, label) {
+    const sm = this.sessionManager;
+    const key = sm.keyOf(accountId, label);
+    const state = sm.states.get(key);
+    if (state === 'ready') return Promise.resolve(sm.getSessionStatus(accountId, label));
+    if (this.waking.has(key)) return this.waking.get(key);
+    if (!state) return Promise.reject(codedError('Session not found', 'SESSION_NOT_FOUND'));
+    if (state !== 'hibernated') {
+      return Promise.reject(codedError(`Session is not hibernated (status ${state})`, 'SESSION_NOT_HIBERNATED'));
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => finish(new Error('Timed out waking session')), sm.options.wakeTimeoutMs);
+      const onStatus = (data) => {
+        if (data.accountId !== accountId || data.label !== label) return;
+        if (data.status === 'ready') finish();
+        else if (['auth_failure', 'logged_out', 'scanning', 'failed'].includes(data.status)) {
+          finish(new Error(`Session could not resume (${data.status})`));
+        }
+      };
+      const finish = (error) => {
+        clearTimeout(timeout);
+        sm.off('status', onStatus);
+        this.waking.delete(key);
+        if (error) reject(error);
+        else resolve(sm.getSessionStatus(accountId, label));
+      };
+
+      sm.on('status', onStatus);
+      sm.log('SESSION', `Waking hibernated session ${key}`);
+      sm.initSession(accountId, label)
+        .then((result) => {
+          if (result.status === 'queued') sm.log('SESSION', `Wake of ${key} queued for a free slot`);
+        })
+        .catch(finish);
+    });
+
+    this.waking.set(key, promise);
+    return promise;
+  }
+
+  // Express middleware: records activity and wakes hibernated sessions on demand
+  middleware() {
+    return async (req, res, next) => {
+      let session;
+      try {
+        session = sessionOfPath(req.path);
+      } catch {
+        // Malformed paths are refused by the auth middleware
+      }
+      if (!session) return next();
+
+      const { accountId, label } = session;
+      this.touch(accountId, label);
+
+      if (!this.isHibernated(accountId, label)) return next();
+      try {
+        await this.wake(accountId, label);
+        next();
+      } catch (error) {
+        res.status(503).json({ error: `Session is hibernated and could not be woken: ${error.message}` });
+      }
+    };
+  }
+}
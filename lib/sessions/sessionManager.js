@@ -1,26 +1,69 @@
 import { EventEmitter } from 'events';
 import fs from 'fs';
-import path from 'path';
 import wwebjs from 'whatsapp-web.js';
 import { ChatManager } from '../chats/chatManager.js';
+import { SessionSupervisor } from './sessionSupervisor.js';
+import { SessionHibernator } from './sessionHibernator.js';
+import { SessionTransfer } from './sessionTransfer.js';
 import { ContactsManager } from '../contacts/contactsManager.js';
+import { NumberValidator } from '../contacts/numberValidator.js';
+import { WebhookManager } from '../webhooks/webhookManager.js';
+import { OutboxManager } from '../outbox/outboxManager.js';
+import { BroadcastManager } from '../broadcasts/broadcastManager.js';
+import { AckManager, ACK_STATUSES } from '../acks/ackManager.js';
+import { GroupManager } from '../groups/groupManager.js';
+import { openDatabase } from '../store/database.js';
+import { MessageStore } from '../store/messageStore.js';
+import { MediaCache } from '../media/mediaCache.js';
+import { MediaPreviews } from '../media/mediaPreviews.js';
+import { getConfig } from '../config/config.js';
+import { codedError } from '../utils/errors.js';
+import { createAuthStorage, clientIdOf, parseClientId } from './authStorage.js';
 
-const { Client, LocalAuth, MessageMedia } = wwebjs;
+const { Client, LocalAuth, RemoteAuth, MessageMedia } = wwebjs;
 
 export class SessionManager extends EventEmitter {
-  constructor(dataPath = './.wwebjs_auth') {
+  constructor(config = getConfig()) {
     super();
     this.clients = new Map();
     this.states = new Map();
     this.qrs = new Map();
+    this.pairingCodes = new Map(); // key -> { code, expiresAt }
+    this.loginOptions = new Map(); // key -> { phoneNumber } until the session authenticates
     this.selfIds = new Map();
-    this.dataPath = dataPath;
+    this.pending = []; // sessions waiting for a free slot (admission: 'queue')
+    this.detectedCount = null; // sessions with saved auth as of the last detectSessions()
+    this.config = config;
+    this.options = { ...config.sessions, puppeteer: config.puppeteer };
+    this.dataPath = this.options.dataPath;
+    this.db = openDatabase(config.store.path);
+    this.authStorage = createAuthStorage(config, this.db);
+    this.transfer = new SessionTransfer(this);
+    this.messageStore = new MessageStore(this);
+    this.mediaCache = new MediaCache(this);
+    this.mediaPreviews = new MediaPreviews(this);
     this.chatManager = new ChatManager(this);
     this.contactsManager = new ContactsManager(this);
+    this.numberValidator = new NumberValidator(this);
+    this.groupManager = new GroupManager(this);
+    this.webhookManager = new WebhookManager(this);
+    this.outboxManager = new OutboxManager(this);
+    this.broadcastManager = new BroadcastManager(this);
+    this.ackManager = new AckManager(this);
+    this.supervisor = new SessionSupervisor(this).start();
+    this.hibernator = new SessionHibernator(this).start();
 
-
+    // Keep detectedCount current for /api/health without listing storage per request
+    this.on('status', ({ status }) => { if (status === 'ready') this.detectSessions(); });
+    this.on('session_destroyed', () => this.detectSessions());
     
-    this.log('SYSTEM', 'SessionManager initialized', { dataPath: this.dataPath });
+    this.log('SYSTEM', 'SessionManager initialized', {
+      dataPath: this.dataPath,
+      storage: this.authStorage.backend,
+      maxSessions: this.options.maxSessions,
+      admission: this.options.admission,
+      idleTimeoutMs: this.options.idleTimeoutMs
+    });
     
     if (!fs.existsSync(this.dataPath)) {
       fs.mkdirSync(this.dataPath, { recursive: true });
@@ -38,31 +81,22 @@ export class SessionManager extends EventEmitter {
 
   parseSessionDir(dirName) {
     if (!dirName?.startsWith('session-')) return null;
-    
-    const sessionId = dirName.replace('session-', '');
-    
-    if (sessionId.includes('__')) {
-      const [accountId, label] = sessionId.split('__');
-      if (accountId && label) return { accountId, label };
-    }
-    
-    if (sessionId === 'default-client') {
-      return { accountId: 'default', label: 'main' };
-    }
-    
-    return { accountId: 'legacy', label: sessionId };
+    return parseClientId(dirName.replace('session-', ''));
   }
 
   getAllSessions() {
     const sessions = [];
-    for (const [key] of this.clients.entries()) {
+    // Sessions being restarted have no client for a moment but keep their state
+    const keys = new Set([...this.clients.keys(), ...this.states.keys()]);
+    for (const key of keys) {
       const [accountId, label] = key.split('::');
       sessions.push({
         accountId,
         label,
         status: this.states.get(key) || 'unknown',
         waId: this.selfIds.get(key) || null,
-        hasQr: this.qrs.has(key)
+        hasQr: this.qrs.has(key),
+        hasPairingCode: this.pairingCodes.has(key)
       });
     }
     return sessions;
@@ -70,8 +104,11 @@ export class SessionManager extends EventEmitter {
 
   bindEvents(accountId, label, client) {
     const key = this.keyOf(accountId, label);
+    // Ignore late events from a client that was closed or replaced (e.g. by a restart)
+    const isCurrent = () => this.clients.get(key) === client;
     
     client.on('qr', (qr) => {
+      if (!isCurrent()) return;
       this.log('QR', `QR received for ${accountId}::${label}`);
       this.qrs.set(key, qr);
       this.states.set(key, 'scanning');
@@ -83,20 +120,38 @@ export class SessionManager extends EventEmitter {
       // NO TERMINAL QR OUTPUT - QR codes only sent via WebSocket to frontend
     });
 
+    // Pairing-code login (pairWithPhoneNumber): replaces `qr`; wwebjs sends a fresh code
+    // every pairingCodeIntervalMs until the phone links
+    client.on('code', (code) => {
+      if (!isCurrent()) return;
+      this.log('QR', `Pairing code received for ${accountId}::${label}`);
+      const expiresAt = Date.now() + this.options.pairingCodeIntervalMs;
+      this.pairingCodes.set(key, { code, expiresAt });
+      this.states.set(key, 'scanning');
+
+      this.emit('pairing_code', { accountId, label, code, expiresAt: new Date(expiresAt).toISOString() });
+      this.emit('status', { accountId, label, status: 'scanning', hasQr: false, hasPairingCode: true });
+    });
+
     client.on('authenticated', () => {
+      if (!isCurrent()) return;
       this.log('AUTH', `Authenticated for ${accountId}::${label}`);
       this.qrs.delete(key);
+      this.pairingCodes.delete(key);
+      this.loginOptions.delete(key);
       this.states.set(key, 'authenticated');
       this.emit('status', { accountId, label, status: 'authenticated', hasQr: false });
     });
 
     client.on('auth_failure', (msg) => {
+      if (!isCurrent()) return;
       this.log('AUTH', `Auth failure for ${accountId}::${label}`, { error: msg });
       this.states.set(key, 'auth_failure');
       this.emit('status', { accountId, label, status: 'auth_failure', error: msg });
     });
 
     client.on('ready', () => {
+      if (!isCurrent()) return;
       this.log('READY', `Ready for ${accountId}::${label}`);
       this.states.set(key, 'ready');
       this.selfIds.set(key, client.info.wid.user);
@@ -107,66 +162,147 @@ export class SessionManager extends EventEmitter {
         hasQr: false,
         waId: client.info.wid.user
       });
+
+      // Seed the local message store with recent history (background)
+      this.chatManager.backfillHistory(accountId, label).catch((error) => {
+        this.log('ERROR', `History backfill failed for ${accountId}::${label}`, { error: error.message });
+      });
     });
 
     client.on('disconnected', (reason) => {
+      if (!isCurrent()) return;
       this.log('DISCONNECT', `Disconnected for ${accountId}::${label}`, { reason });
       this.states.set(key, 'disconnected');
       this.selfIds.delete(key);
+      this.pairingCodes.delete(key);
+      // SessionSupervisor picks this up: logout -> needs QR, anything else -> restart with backoff
       this.emit('status', { accountId, label, status: 'disconnected', reason });
     });
 
+    // RemoteAuth finished uploading a backup of the browser profile
+    client.on('remote_session_saved', () => {
+      this.log('AUTH', `Session backed up to ${this.authStorage.backend} storage for ${accountId}::${label}`);
+    });
+
     client.on('message_create', (message) => {
+      if (!isCurrent()) return;
       this.log('MESSAGE', `Message from ${accountId}::${label}`, {
         from: message.from,
         body: message.body?.substring(0, 50)
       });
-      
-      this.emit('message', {
+
+      const formatted = this.chatManager.formatMessage(message);
+      this.messageStore.save(accountId, label, formatted);
+      this.emit('message', { accountId, label, message: formatted });
+    });
+
+    client.on('message_ack', (message, ack) => {
+      if (!isCurrent()) return;
+      this.emit('message_ack', {
         accountId,
         label,
-        message: {
-          id: message.id._serialized,
-          from: message.from,
-          to: message.to,
-          body: message.body,
-          type: message.type,
-          fromMe: message.fromMe,
-          timestamp: message.timestamp
-        }
+        messageId: message.id._serialized,
+        chatId: this.chatManager.chatIdOf(message),
+        ack,
+        ackStatus: ACK_STATUSES[ack] ?? null
       });
     });
+
+    // `before` is only available when the original was still loaded in WhatsApp Web
+    client.on('message_revoke_everyone', (after, before) => {
+      if (!isCurrent()) return;
+      const message = this.chatManager.formatMessage(after);
+      this.messageStore.save(accountId, label, message);
+      this.emit('message_revoke_everyone', {
+        accountId,
+        label,
+        messageId: message.id,
+        chatId: message.chatId,
+        message,
+        revoked: before ? this.chatManager.formatMessage(before) : null
+      });
+    });
+
+    client.on('message_edit', (message, newBody, prevBody) => {
+      if (!isCurrent()) return;
+      const formatted = this.chatManager.formatMessage(message);
+      this.messageStore.save(accountId, label, formatted);
+      this.emit('message_edit', {
+        accountId,
+        label,
+        messageId: formatted.id,
+        chatId: formatted.chatId,
+        message: formatted,
+        newBody,
+        prevBody
+      });
+    });
+
+    client.on('message_reaction', (reaction) => {
+      if (!isCurrent()) return;
+      this.emit('message_reaction', { accountId, label, ...this.chatManager.formatReaction(reaction) });
+    });
+
+    // Participant changes are also emitted as one `group_participants` event
+    // (action: add | invite | remove | leave | promote | demote)
+    for (const event of ['group_join', 'group_leave', 'group_admin_changed', 'group_update']) {
+      client.on(event, (notification) => {
+        if (!isCurrent()) return;
+        const data = { accountId, label, ...this.chatManager.formatGroupNotification(notification) };
+        this.emit(event, data);
+        if (event !== 'group_update') {
+          this.emit('group_participants', { ...data, action: data.type, participants: data.recipientIds });
+        }
+      });
+    }
   }
 
-  async initSession(accountId, label) {
+  // options.phoneNumber: log in with a pairing code sent to that phone instead of a QR.
+  // Passing the key at all (even null) sets the login method; restarts without it reuse
+  // the last one until the session authenticates.
+  async initSession(accountId, label, options = {}) {
     const key = this.keyOf(accountId, label);
-    
+    const phoneNumber = options.phoneNumber ? this.pairingNumber(options.phoneNumber) : null;
+
     if (this.clients.has(key)) {
       const state = this.states.get(key);
       const currentQr = this.qrs.get(key);
+
+      // Already waiting for a QR scan: switch it to a pairing code
+      if (phoneNumber && state === 'scanning') {
+        const pairing = await this.requestPairingCode(accountId, label, phoneNumber);
+        return { accountId, label, status: state, exists: true, hasQr: false, pairingCode: pairing };
+      }
       
       this.log('SESSION', 'Session already exists', { accountId, label, state, hasQr: !!currentQr });
       
-      return { accountId, label, status: state, exists: true, hasQr: !!currentQr };
+      return { accountId, label, status: state, exists: true, hasQr: !!currentQr, hasPairingCode: this.pairingCodes.has(key) };
+    }
+
+    if ('phoneNumber' in options) {
+      if (phoneNumber) this.loginOptions.set(key, { phoneNumber });
+      else this.loginOptions.delete(key);
     }
 
-    if (this.clients.size >= 5) {
-      throw new Error('Maximum session limit (5) reached');
+    if (this.clients.size >= this.options.maxSessions) {
+      if (this.options.admission === 'queue') return this.enqueueSession(accountId, label);
+      const error = new Error(`Maximum session limit (${this.options.maxSessions}) reached`);
+      error.code = 'SESSION_LIMIT';
+      throw error;
     }
+    this.pending = this.pending.filter(p => this.keyOf(p.accountId, p.label) !== key);
 
+    const login = this.loginOptions.get(key);
     const client = new Client({
-      authStrategy: new LocalAuth({
-        clientId: `${accountId}__${label}`,
-        dataPath: this.dataPath
-      }),
-      puppeteer: {
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage'
-        ]
-      }
+      authStrategy: this.authStrategy(accountId, label),
+      puppeteer: this.puppeteerOptions(),
+      ...(login && {
+        pairWithPhoneNumber: {
+          phoneNumber: login.phoneNumber,
+          showNotification: true,
+          intervalMs: this.options.pairingCodeIntervalMs
+        }
+      })
     });
 
     this.clients.set(key, client);
@@ -182,10 +318,130 @@ export class SessionManager extends EventEmitter {
       this.clients.delete(key);
       this.states.delete(key);
       this.log('ERROR', 'Failed to initialize session', { accountId, label, error: error.message });
+      this.releaseSlot();
       throw error;
     }
   }
 
+  // Phone number as pairing expects it: country code and digits, no `+`
+  pairingNumber(input) {
+    const { e164, error } = this.numberValidator.normalize(input);
+    if (!e164) throw codedError(`Invalid phoneNumber: ${error}`, 'INVALID_PHONE_NUMBER');
+    return e164.slice(1);
+  }
+
+  // Current pairing code, or null (none issued, or expired and not yet replaced)
+  getPairingCode(accountId, label) {
+    const pairing = this.pairingCodes.get(this.keyOf(accountId, label));
+    if (!pairing || pairing.expiresAt <= Date.now()) return null;
+    return { code: pairing.code, expiresAt: new Date(pairing.expiresAt).toISOString() };
+  }
+
+  // Ask for a new code now (the previous one stops working). Uses the session's phone
+  // number unless another is given.
+  async requestPairingCode(accountId, label, phoneNumber = null) {
+    const key = this.keyOf(accountId, label);
+    const client = this.clients.get(key);
+    if (!client) throw new Error('Session not found');
+    if (this.states.get(key) !== 'scanning') {
+      throw codedError(`Session is ${this.states.get(key)}, not waiting for login`, 'ACTION_REJECTED');
+    }
+    const number = phoneNumber || this.loginOptions.get(key)?.phoneNumber;
+    if (!number) throw codedError('phoneNumber is required', 'INVALID_PHONE_NUMBER');
+
+    this.loginOptions.set(key, { phoneNumber: number });
+    this.qrs.delete(key);
+    // Resolves with the code; the `code` event handler records and emits it
+    const code = await client.requestPairingCode(number, true, this.options.pairingCodeIntervalMs);
+    return this.getPairingCode(accountId, label) || { code, expiresAt: null };
+  }
+
+  // LocalAuth, or RemoteAuth backed by the configured store (storage.backend)
+  authStrategy(accountId, label) {
+    const clientId = clientIdOf(accountId, label);
+    if (!this.authStorage.remote) return new LocalAuth({ clientId, dataPath: this.dataPath });
+    return new RemoteAuth({
+      clientId,
+      dataPath: this.dataPath,
+      store: this.authStorage.store,
+      backupSyncIntervalMs: this.authStorage.backupIntervalMs
+    });
+  }
+
+  puppeteerOptions() {
+    const { headless, executablePath, args } = this.options.puppeteer;
+    const finalArgs = [...args];
+    if (this.options.maxMemoryMb) {
+      finalArgs.push(`--js-flags=--max-old-space-size=${this.options.maxMemoryMb}`);
+    }
+    return { headless, executablePath: executablePath || undefined, args: finalArgs };
+  }
+
+  // At capacity with admission 'queue': remember the session and start it when a slot frees
+  enqueueSession(accountId, label) {
+    const key = this.keyOf(accountId, label);
+    if (!this.pending.some(p => this.keyOf(p.accountId, p.label) === key)) {
+      this.pending.push({ accountId, label });
+    }
+    const position = this.pending.findIndex(p => this.keyOf(p.accountId, p.label) === key) + 1;
+
+    this.states.set(key, 'queued');
+    this.log('SESSION', 'Session limit reached, queued', { accountId, label, position });
+    this.emit('status', { accountId, label, status: 'queued', position });
+    return { accountId, label, status: 'queued', exists: false, position };
+  }
+
+  // Start queued sessions while there is room (call after a session stops using a browser)
+  releaseSlot() {
+    while (this.pending.length && this.clients.size < this.options.maxSessions) {
+      const { accountId, label } = this.pending.shift();
+      const key = this.keyOf(accountId, label);
+      // Destroyed while waiting
+      if (this.states.get(key) !== 'queued') continue;
+      this.states.delete(key);
+      this.initSession(accountId, label).catch((error) => {
+        this.log('ERROR', 'Failed to start queued session', { accountId, label, error: error.message });
+      });
+    }
+  }
+
+  hibernateSession(accountId, label) {
+    return this.hibernator.hibernate(accountId, label);
+  }
+
+  wakeSession(accountId, label) {
+    return this.hibernator.wake(accountId, label);
+  }
+
+  // Stop a client's browser but keep its auth data (unlike destroySession).
+  // The caller decides what state the session is left in.
+  async closeClient(accountId, label) {
+    const key = this.keyOf(accountId, label);
+    const client = this.clients.get(key);
+    if (!client) return false;
+
+    this.clients.delete(key);
+    this.qrs.delete(key);
+    this.pairingCodes.delete(key);
+    this.selfIds.delete(key);
+
+    // Remote backends: save the latest profile now rather than lose up to one backup interval
+    if (this.authStorage.remote && this.states.get(key) === 'ready') {
+      try {
+        await client.authStrategy.storeRemoteSession();
+      } catch (error) {
+        this.log('ERROR', 'Error saving remote session', { accountId, label, error: error.message });
+      }
+    }
+
+    try {
+      await client.destroy();
+    } catch (error) {
+      this.log('ERROR', 'Error closing client', { accountId, label, error: error.message });
+    }
+    return true;
+  }
+
   async destroySession(accountId, label) {
     const key = this.keyOf(accountId, label);
     const client = this.clients.get(key);
@@ -198,21 +454,23 @@ export class SessionManager extends EventEmitter {
       }
       
       this.clients.delete(key);
-      this.states.delete(key);
       this.qrs.delete(key);
+      this.pairingCodes.delete(key);
       this.selfIds.delete(key);
     }
+    this.loginOptions.delete(key);
+    // Also clears queued/hibernated/restarting sessions that have no client
+    this.states.delete(key);
+    this.pending = this.pending.filter(p => this.keyOf(p.accountId, p.label) !== key);
 
     try {
-      const sessionDir = path.join(this.dataPath, `session-${accountId}__${label}`);
-      if (fs.existsSync(sessionDir)) {
-        fs.rmSync(sessionDir, { recursive: true, force: true });
-      }
+      await this.authStorage.remove(accountId, label);
     } catch (error) {
-      this.log('ERROR', 'Error cleaning session directory', { accountId, label, error: error.message });
+      this.log('ERROR', 'Error removing session auth data', { accountId, label, storage: this.authStorage.backend, error: error.message });
     }
 
     this.emit('session_destroyed', { accountId, label });
+    this.releaseSlot();
     
     return { accountId, label, destroyed: true };
   }
@@ -224,7 +482,9 @@ export class SessionManager extends EventEmitter {
       label,
       status: this.states.get(key) || 'not_found',
       hasQr: this.qrs.has(key),
-      waId: this.selfIds.get(key) || null
+      hasPairingCode: this.pairingCodes.has(key),
+      waId: this.selfIds.get(key) || null,
+      ...this.supervisor.statsOf(accountId, label)
     };
   }
 
@@ -234,36 +494,47 @@ export class SessionManager extends EventEmitter {
 
   getContactsManager() { return this.contactsManager; }
 
+  getWebhookManager() { return this.webhookManager; }
+
+  getOutboxManager() { return this.outboxManager; }
 
-  detectSessions() {
+  getBroadcastManager() { return this.broadcastManager; }
+
+  getAckManager() { return this.ackManager; }
+
+  getGroupManager() { return this.groupManager; }
+
+  getNumberValidator() { return this.numberValidator; }
+
+  getSessionTransfer() { return this.transfer; }
+
+  getMediaCache() { return this.mediaCache; }
+
+  getMediaPreviews() { return this.mediaPreviews; }
+
+
+  // Sessions with saved auth in the configured storage backend
+  async detectSessions() {
     try {
-      const items = fs.readdirSync(this.dataPath, { withFileTypes: true });
-      const sessions = [];
-      
-      for (const item of items) {
-        if (!item.isDirectory() || !item.name.startsWith('session-')) continue;
-        
-        const sessionInfo = this.parseSessionDir(item.name);
-        if (sessionInfo?.accountId && sessionInfo?.label) {
-          sessions.push({
-            directory: item.name,
-            accountId: sessionInfo.accountId,
-            label: sessionInfo.label,
-            active: this.clients.has(this.keyOf(sessionInfo.accountId, sessionInfo.label))
-          });
-        }
-      }
-      
+      const found = await this.authStorage.list();
+      const sessions = found
+        .filter(session => session.accountId && session.label)
+        .map(session => ({
+          ...session,
+          storage: this.authStorage.backend,
+          active: this.clients.has(this.keyOf(session.accountId, session.label))
+        }));
+      this.detectedCount = sessions.length;
       return sessions;
     } catch (error) {
-      this.log('ERROR', 'Error detecting sessions', { error: error.message });
+      this.log('ERROR', 'Error detecting sessions', { storage: this.authStorage.backend, error: error.message });
       return [];
     }
   }
 
   // New method to auto-restore all detected sessions
   async autoRestoreAllSessions() {
-    const detectedSessions = this.detectSessions();
+    const detectedSessions = await this.detectSessions();
     
     if (detectedSessions.length === 0) {
       this.log('SYSTEM', 'No sessions detected for auto-restore');
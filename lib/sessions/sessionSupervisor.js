@@ -0,0 +1,244 @@
+const STATE_TIMEOUT_MS = 15000;
+const RESTART_BASE_DELAY_MS = 5000;
+const RESTART_MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_CONSECUTIVE_RESTARTS = 10;
+const FAILED_CHECKS_BEFORE_RESTART = 2;
+
+// Reasons/states that mean the phone unlinked us: a new QR is needed, restarting won't help
+const LOGOUT_STATES = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+// Stuck if we sit in one of these longer than options.stuckTimeoutMs
+const TRANSITIONAL_STATES = ['initializing', 'authenticated'];
+
+// Watches every client: detects crashed browsers, stuck startups and transient
+// disconnects, and re-initializes them with exponential backoff.
+export class SessionSupervisor {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.health = new Map(); // key -> stats
+    this.timers = new Map(); // key -> pending restart
+
+    sessionManager.on('status', (data) => this.onStatus(data));
+    sessionManager.on('session_destroyed', ({ accountId, label }) => this.forget(accountId, label));
+  }
+
+  start() {
+    if (this.interval) return this;
+    this.interval = setInterval(() => {
+      this.checkAll().catch((error) => {
+        this.sessionManager.log('ERROR', 'Supervisor check failed', { error: error.message });
+      });
+    }, this.sessionManager.options.supervisorIntervalMs);
+    this.interval.unref();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  healthOf(key) {
+    if (!this.health.has(key)) {
+      this.health.set(key, {
+        restarts: 0,
+        consecutiveFailures: 0,
+        failedChecks: 0,
+        lastError: null,
+        readyAt: null,
+        observedState: null,
+        observedSince: Date.now()
+      });
+    }
+    return this.health.get(key);
+  }
+
+  // Exposed on getSessionStatus()
+  statsOf(accountId, label) {
+    const health = this.health.get(this.sessionManager.keyOf(accountId, label));
+    if (!health) return { restarts: 0, lastError: null, uptime: null };
+    return {
+      restarts: health.restarts,
+      lastError: health.lastError,
+      uptime: health.readyAt ? Math.floor((Date.now() - health.readyAt) / 1000) : null
+    };
+  }
+
+  forget(accountId, label) {
+    const key = this.sessionManager.keyOf(accountId, label);
+    clearTimeout(this.timers.get(key));
+    this.timers.delete(key);
+    this.health.delete(key);
+  }
+
+  onStatus({ accountId, label, status, reason, error }) {
+    const key = this.sessionManager.keyOf(accountId, label);
+    const health = this.healthOf(key);
+
+    if (status === 'ready') {
+      health.readyAt = Date.now();
+      health.consecutiveFailures = 0;
+      health.failedChecks = 0;
+    } else if (status === 'disconnected') {
+      health.readyAt = null;
+      if (LOGOUT_STATES.includes(reason)) {
+        this.handleLogout(accountId, label, reason);
+      } else {
+        this.scheduleRestart(accountId, label, `Disconnected: ${reason}`);
+      }
+    } else if (status === 'auth_failure') {
+      health.readyAt = null;
+      health.lastError = { message: `Auth failure: ${error}`, at: new Date().toISOString() };
+    }
+  }
+
+  // Phone unlinked the session: close the browser and wait for a new init (QR)
+  async handleLogout(accountId, label, reason) {
+    const sm = this.sessionManager;
+    const key = sm.keyOf(accountId, label);
+    const health = this.healthOf(key);
+    health.lastError = { message: `Logged out: ${reason}`, at: new Date().toISOString() };
+
+    await sm.closeClient(accountId, label);
+    sm.states.set(key, 'logged_out');
+    sm.releaseSlot();
+    sm.log('SUPERVISOR', `Session logged out, QR scan required: ${key}`, { reason });
+    sm.emit('status', { accountId, label, status: 'logged_out', needsQr: true, reason, ...this.statsOf(accountId, label) });
+  }
+
+  scheduleRestart(accountId, label, message) {
+    const sm = this.sessionManager;
+    const key = sm.keyOf(accountId, label);
+    if (this.timers.has(key)) return;
+
+    const health = this.healthOf(key);
+    health.lastError = { message, at: new Date().toISOString() };
+    health.consecutiveFailures++;
+
+    if (health.consecutiveFailures > MAX_CONSECUTIVE_RESTARTS) {
+      sm.closeClient(accountId, label).finally(() => {
+        sm.states.set(key, 'failed');
+        sm.releaseSlot();
+        sm.log('SUPERVISOR', `Giving up on ${key} after ${MAX_CONSECUTIVE_RESTARTS} restarts`, { error: message });
+        sm.emit('status', { accountId, label, status: 'failed', ...this.statsOf(accountId, label) });
+      });
+      return;
+    }
+
+    const delay = Math.min(RESTART_BASE_DELAY_MS * Math.pow(2, health.consecutiveFailures - 1), RESTART_MAX_DELAY_MS);
+    sm.states.set(key, 'restarting');
+    sm.log('SUPERVISOR', `Restarting ${key} in ${delay}ms`, { reason: message, attempt: health.consecutiveFailures });
+    sm.emit('status', {
+      accountId,
+      label,
+      status: 'restarting',
+      attempt: health.consecutiveFailures,
+      nextRetryInMs: delay,
+      ...this.statsOf(accountId, label)
+    });
+
+    const timer = setTimeout(() => {
+      this.timers.delete(key);
+      this.restart(accountId, label);
+    }, delay);
+    timer.unref();
+    this.timers.set(key, timer);
+  }
+
+  async restart(accountId, label) {
+    const sm = this.sessionManager;
+    const key = sm.keyOf(accountId, label);
+    const health = this.healthOf(key);
+
+    // Destroyed (or otherwise removed) while we were waiting
+    if (sm.states.get(key) !== 'restarting') return;
+
+    health.restarts++;
+    health.readyAt = null;
+    await sm.closeClient(accountId, label);
+
+    try {
+      await sm.initSession(accountId, label);
+    } catch (error) {
+      // initSession clears the state on failure; keep the session visible while we retry
+      sm.states.set(key, 'restarting');
+      this.scheduleRestart(accountId, label, `Re-initialize failed: ${error.message}`);
+    }
+  }
+
+  async checkAll() {
+    const sm = this.sessionManager;
+    for (const [key, client] of sm.clients.entries()) {
+      const [accountId, label] = key.split('::');
+      if (this.timers.has(key)) continue;
+      try {
+        await this.check(accountId, label, client);
+      } catch (error) {
+        sm.log('ERROR', `Supervisor check failed for ${key}`, { error: error.message });
+      }
+    }
+  }
+
+  async check(accountId, label, client) {
+    const sm = this.sessionManager;
+    const key = sm.keyOf(accountId, label);
+    const health = this.healthOf(key);
+    const state = sm.states.get(key);
+
+    if (state !== health.observedState) {
+      health.observedState = state;
+      health.observedSince = Date.now();
+    }
+
+    // Browser or page died underneath the client
+    const browserGone = client.pupBrowser && client.pupBrowser.isConnected() === false;
+    const pageGone = client.pupPage && client.pupPage.isClosed();
+    if (browserGone || pageGone) {
+      return this.scheduleRestart(accountId, label, browserGone ? 'Browser crashed' : 'Page closed');
+    }
+
+    if (TRANSITIONAL_STATES.includes(state)) {
+      const { stuckTimeoutMs } = sm.options;
+      if (Date.now() - health.observedSince > stuckTimeoutMs) {
+        this.scheduleRestart(accountId, label, `Stuck in "${state}" for over ${Math.round(stuckTimeoutMs / 1000)}s`);
+      }
+      return;
+    }
+
+    if (state !== 'ready') return;
+
+    // Restart before the page hits its V8 heap cap and starts failing
+    if (sm.options.maxMemoryMb && client.pupPage) {
+      const { JSHeapUsedSize = 0 } = await client.pupPage.metrics().catch(() => ({}));
+      const usedMb = Math.round(JSHeapUsedSize / (1024 * 1024));
+      if (usedMb > sm.options.maxMemoryMb * 0.9) {
+        return this.scheduleRestart(accountId, label, `Memory cap exceeded (${usedMb}MB of ${sm.options.maxMemoryMb}MB)`);
+      }
+    }
+
+    let waState = null;
+    let failure = null;
+    try {
+      waState = await Promise.race([
+        client.getState(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('getState() timed out')), STATE_TIMEOUT_MS).unref())
+      ]);
+    } catch (error) {
+      failure = error.message;
+    }
+
+    if (LOGOUT_STATES.includes(waState)) return this.handleLogout(accountId, label, waState);
+
+    if (!failure && waState === 'CONNECTED') {
+      health.failedChecks = 0;
+      return;
+    }
+
+    health.failedChecks++;
+    if (health.failedChecks >= FAILED_CHECKS_BEFORE_RESTART) {
+      health.failedChecks = 0;
+      this.scheduleRestart(accountId, label, failure || `Unhealthy WhatsApp state: ${waState}`);
+    }
+  }
+}
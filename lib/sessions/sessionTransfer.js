@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { clientIdOf, parseClientId } from './authStorage.js';
+import { codedError } from '../utils/errors.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MAGIC = Buffer.from('WWSESS1');
+const FORMAT_VERSION = 1;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Moves a logged-in session between servers. An export holds the storage backend's files
+// for the session (browser profile, or the RemoteAuth zip), gzipped and sealed with
+// AES-256-GCM under a key derived from a passphrase:
+//   MAGIC | salt | iv | ciphertext | tag
+export class SessionTransfer {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.storage = sessionManager.authStorage;
+  }
+
+  get storageKind() {
+    return this.storage.remote ? 'remote' : 'local';
+  }
+
+  checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw codedError(`passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters is required`, 'INVALID_TRANSFER_REQUEST');
+    }
+  }
+
+  checkIdentity(accountId, label) {
+    for (const value of [accountId, label]) {
+      if (!value || typeof value !== 'string' || value.includes('__') || /[/\\]/.test(value)) {
+        throw codedError('accountId and label are required and may not contain "__" or slashes', 'INVALID_TRANSFER_REQUEST');
+      }
+    }
+  }
+
+  // manifest + files -> length-prefixed JSON headers, each file's bytes after its header
+  pack(manifest, files) {
+    const parts = [];
+    const push = (header, data) => {
+      const json = Buffer.from(JSON.stringify(header));
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(json.length);
+      parts.push(length, json);
+      if (data) parts.push(data);
+    };
+    push(manifest);
+    for (const file of files) push({ path: file.path, size: file.data.length }, file.data);
+    return Buffer.concat(parts);
+  }
+
+  unpack(buffer) {
+    let offset = 0;
+    const readHeader = () => {
+      const length = buffer.readUInt32BE(offset);
+      const header = JSON.parse(buffer.subarray(offset + 4, offset + 4 + length).toString('utf8'));
+      offset += 4 + length;
+      return header;
+    };
+
+    const manifest = readHeader();
+    const files = [];
+    while (offset < buffer.length) {
+      const { path, size } = readHeader();
+      if (offset + size > buffer.length) throw new Error('truncated');
+      files.push({ path, data: buffer.subarray(offset, offset + size) });
+      offset += size;
+    }
+    return { manifest, files };
+  }
+
+  seal(plain, passphrase) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+    const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+    return Buffer.concat([MAGIC, salt, iv, encrypted, cipher.getAuthTag()]);
+  }
+
+  open(sealed, passphrase) {
+    const headerLength = MAGIC.length + SALT_BYTES + IV_BYTES;
+    if (sealed.length < headerLength + TAG_BYTES || !sealed.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw codedError('Not a session export archive', 'INVALID_ARCHIVE');
+    }
+    const salt = sealed.subarray(MAGIC.length, MAGIC.length + SALT_BYTES);
+    const iv = sealed.subarray(MAGIC.length + SALT_BYTES, headerLength);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+    try {
+      return Buffer.concat([decipher.update(sealed.subarray(headerLength, sealed.length - TAG_BYTES)), decipher.final()]);
+    } catch {
+      throw codedError('Wrong passphrase or corrupted archive', 'INVALID_ARCHIVE');
+    }
+  }
+
+  // A running session is closed first (so the browser has flushed its profile, and remote
+  // backends hold a fresh backup) and started again once the archive is built.
+  async exportSession(accountId, label, passphrase) {
+    this.checkPassphrase(passphrase);
+    const sm = this.sessionManager;
+    const key = sm.keyOf(accountId, label);
+    const clientId = clientIdOf(accountId, label);
+    const wasRunning = sm.clients.has(key);
+
+    if (wasRunning) {
+      await sm.closeClient(accountId, label);
+      sm.states.set(key, 'exporting');
+      sm.emit('status', { accountId, label, status: 'exporting', hasQr: false });
+    }
+
+    try {
+      if (!(await this.storage.exists(clientId))) throw new Error('Session not found');
+      const files = await this.storage.read(clientId);
+      const manifest = {
+        format: FORMAT_VERSION,
+        accountId,
+        label,
+        storage: this.storageKind,
+        files: files.length,
+        exportedAt: new Date().toISOString()
+      };
+      const body = this.seal(await gzip(this.pack(manifest, files)), passphrase);
+
+      sm.log('SESSION', 'Session exported', { accountId, label, files: files.length, bytes: body.length });
+      return { filename: `${clientId}.wwsession`, body, manifest, restarted: wasRunning };
+    } finally {
+      if (wasRunning) {
+        sm.states.delete(key);
+        sm.initSession(accountId, label).catch((error) => {
+          sm.log('ERROR', 'Failed to restart session after export', { accountId, label, error: error.message });
+        });
+      }
+    }
+  }
+
+  // options: { accountId, label } to import under another identity, overwrite, start
+  async importSession(sealed, passphrase, { accountId, label, overwrite = false, start = true } = {}) {
+    this.checkPassphrase(passphrase);
+    const sm = this.sessionManager;
+
+    let archive;
+    try {
+      archive = this.unpack(await gunzip(this.open(sealed, passphrase)));
+    } catch (error) {
+      if (error.code === 'INVALID_ARCHIVE') throw error;
+      throw codedError(`Unreadable archive: ${error.message}`, 'INVALID_ARCHIVE');
+    }
+    const { manifest, files } = archive;
+    if (manifest.format !== FORMAT_VERSION) {
+      throw codedError(`Unsupported archive format ${manifest.format}`, 'INVALID_ARCHIVE');
+    }
+    // Profiles and RemoteAuth zips are not interchangeable
+    if (manifest.storage !== this.storageKind) {
+      throw codedError(
+        `Archive holds ${manifest.storage} session data; this server uses ${this.storage.backend} storage`,
+        'INVALID_ARCHIVE'
+      );
+    }
+
+    const target = { accountId: accountId || manifest.accountId, label: label || manifest.label };
+    this.checkIdentity(target.accountId, target.label);
+    const key = sm.keyOf(target.accountId, target.label);
+    if (sm.clients.has(key) || sm.states.has(key)) {
+      throw codedError('Session is active on this server; destroy it before importing', 'ACTION_REJECTED');
+    }
+    const clientId = clientIdOf(target.accountId, target.label);
+    if (!overwrite && await this.storage.exists(clientId)) {
+      throw codedError('Session already has auth data on this server; set overwrite to replace it', 'SESSION_EXISTS');
+    }
+
+    await this.storage.write(clientId, files);
+    sm.detectSessions();
+    sm.log('SESSION', 'Session imported', { ...target, files: files.length, exportedAt: manifest.exportedAt });
+
+    if (start) {
+      sm.initSession(target.accountId, target.label).catch((error) => {
+        sm.log('ERROR', 'Failed to start imported session', { ...target, error: error.message });
+      });
+    }
+    return { ...target, files: files.length, exportedAt: manifest.exportedAt, started: !!start };
+  }
+
+  // Sessions stored under names older versions used (`default-client`, no `__`)
+  async listLegacy() {
+    return (await this.storage.list()).filter(session => session.legacy);
+  }
+
+  // Rename legacy auth data to the accountId__label layout so initSession() finds it
+  async migrateLegacy(from, accountId, label) {
+    // `from` becomes a directory or key name, so it must be one listLegacy() returned
+    if (typeof from !== 'string' || !parseClientId(from)?.legacy || /[/\\]|\.\./.test(from)) {
+      throw codedError('from must be a legacy session name (e.g. "default-client")', 'INVALID_TRANSFER_REQUEST');
+    }
+    this.checkIdentity(accountId, label);
+    const sm = this.sessionManager;
+
+    if (!(await this.listLegacy()).some(session => session.clientId === from)) {
+      throw codedError(`No legacy session "${from}"`, 'SESSION_NOT_FOUND');
+    }
+    const clientId = clientIdOf(accountId, label);
+    if (await this.storage.exists(clientId)) {
+      throw codedError(`${accountId}::${label} already has auth data`, 'SESSION_EXISTS');
+    }
+    if (sm.clients.has(sm.keyOf(accountId, label))) {
+      throw codedError(`${accountId}::${label} is running; destroy it first`, 'ACTION_REJECTED');
+    }
+
+    await this.storage.rename(from, clientId);
+    sm.log('SESSION', 'Legacy session migrated', { from, accountId, label });
+    return { from, accountId, label, migrated: true };
+  }
+}
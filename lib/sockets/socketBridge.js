@@ -0,0 +1,171 @@
+// Forwards SessionManager events to Socket.IO rooms.
+//
+// Rooms:
+//   session:<accountId>:<label>           explicit `subscribe` to a session
+//   chat:<accountId>:<label>:<chatId>     explicit `subscribe` to a single chat
+//   legacy:<accountId|*>:<label|*>        implicit, derived from the credential's scope;
+//                                         left on the socket's first `subscribe`
+//
+// Event names (`qr`, `qr:<accountId>:<label>`, ...) are unchanged, so frontends that never
+// subscribe keep receiving what they did before, limited to the sessions they may see.
+
+// Per-chat events, forwarded to the session rooms and to the chat's room
+const CHAT_EVENTS = [
+  'message_ack',
+  'ack',
+  'message_revoke_everyone',
+  'message_edit',
+  'message_reaction',
+  'group_join',
+  'group_leave',
+  'group_admin_changed',
+  'group_update',
+  'group_participants'
+];
+
+export class SocketBridge {
+  constructor(io, sessionManager, authManager) {
+    this.io = io;
+    this.sessionManager = sessionManager;
+    this.authManager = authManager;
+  }
+
+  static sessionRoom(accountId, label) {
+    return `session:${accountId}:${label}`;
+  }
+
+  static chatRoom(accountId, label, chatId) {
+    return `chat:${accountId}:${label}:${chatId}`;
+  }
+
+  // Every room that should see an event for accountId::label
+  roomsFor(accountId, label) {
+    return [
+      SocketBridge.sessionRoom(accountId, label),
+      `legacy:${accountId}:${label}`,
+      `legacy:${accountId}:*`,
+      `legacy:*:${label}`,
+      'legacy:*:*'
+    ];
+  }
+
+  legacyRoomsOf(principal) {
+    const labels = principal.labels || ['*'];
+    return principal.accounts.flatMap(accountId => labels.map(label => `legacy:${accountId}:${label}`));
+  }
+
+  // Emit both the generic and the per-session channel (e.g. `status` and `status:acc:label`)
+  emitSessionEvent(event, data) {
+    const target = this.io.to(this.roomsFor(data.accountId, data.label));
+    target.emit(`${event}:${data.accountId}:${data.label}`, data);
+    target.emit(event, data);
+  }
+
+  emitChatEvent(event, data) {
+    const { accountId, label, chatId } = data;
+    if (!chatId) return;
+    const chat = this.io.to(SocketBridge.chatRoom(accountId, label, chatId));
+    chat.emit(`${event}:${accountId}:${label}:${chatId}`, data);
+    chat.emit(event, data);
+  }
+
+  attach() {
+    const sm = this.sessionManager;
+
+    sm.on('qr', (data) => this.emitSessionEvent('qr', data));
+    sm.on('pairing_code', (data) => this.emitSessionEvent('pairing_code', data));
+    sm.on('status', (data) => this.emitSessionEvent('status', data));
+    sm.on('session_destroyed', (data) => this.emitSessionEvent('session_destroyed', data));
+    sm.on('outbox', (data) => this.emitSessionEvent('outbox', data));
+    sm.on('broadcast', (data) => this.emitSessionEvent('broadcast', data));
+    sm.on('validation', (data) => this.emitSessionEvent('validation', data));
+
+    // These also reach subscribers of the chat they belong to
+    for (const event of CHAT_EVENTS) {
+      sm.on(event, (data) => {
+        this.emitSessionEvent(event, data);
+        this.emitChatEvent(event, data);
+      });
+    }
+
+    sm.on('message', (data) => {
+      const { accountId, label, message } = data;
+      this.emitSessionEvent('message', data);
+
+      const rooms = this.roomsFor(accountId, label);
+      this.io.to(rooms).emit(`chat_message:${accountId}:${label}:${message.from}`, message);
+      this.io.to(rooms).emit(`chat_message:${accountId}:${label}`, message);
+
+      // Chat subscribers: the chat is the counterpart of the message
+      const chatId = message.chatId;
+      const chat = this.io.to(SocketBridge.chatRoom(accountId, label, chatId));
+      chat.emit(`chat_message:${accountId}:${label}:${chatId}`, message);
+      chat.emit('chat_message', { accountId, label, chatId, message });
+    });
+
+    this.io.on('connection', (socket) => this.onConnection(socket));
+    return this;
+  }
+
+  // Accepts { accountId, label, chatId } or "accountId:label[:chatId]"
+  parseTarget(payload) {
+    if (typeof payload === 'string') {
+      const [accountId, label, ...rest] = payload.split(':');
+      return { accountId, label, chatId: rest.length ? rest.join(':') : null };
+    }
+    const { accountId, label, chatId = null } = payload || {};
+    return { accountId, label, chatId };
+  }
+
+  roomOf({ accountId, label, chatId }) {
+    return chatId
+      ? SocketBridge.chatRoom(accountId, label, chatId)
+      : SocketBridge.sessionRoom(accountId, label);
+  }
+
+  onConnection(socket) {
+    const principal = socket.data.auth;
+    this.sessionManager.log('SOCKET', 'Client connected', { socketId: socket.id, principal: principal.id });
+
+    socket.data.legacyRooms = this.legacyRoomsOf(principal);
+    socket.join(socket.data.legacyRooms);
+
+    // Send current sessions
+    socket.emit('sessions_list', this.authManager.filterSessions(principal, this.sessionManager.getAllSessions()));
+
+    socket.on('subscribe', (payload, ack) => {
+      const target = this.parseTarget(payload);
+      if (!target.accountId || !target.label) {
+        return typeof ack === 'function' && ack({ ok: false, error: 'accountId and label are required' });
+      }
+      if (!this.authManager.allows(principal, target.accountId, target.label)) {
+        return typeof ack === 'function' && ack({ ok: false, error: 'Forbidden for this account' });
+      }
+
+      // First explicit subscription switches the socket off the implicit legacy rooms
+      if (socket.data.legacyRooms.length) {
+        socket.data.legacyRooms.forEach(room => socket.leave(room));
+        socket.data.legacyRooms = [];
+      }
+
+      const room = this.roomOf(target);
+      socket.join(room);
+      this.sessionManager.log('SOCKET', 'Subscribed', { socketId: socket.id, room });
+      if (typeof ack === 'function') ack({ ok: true, room });
+    });
+
+    socket.on('unsubscribe', (payload, ack) => {
+      const target = this.parseTarget(payload);
+      if (!target.accountId || !target.label) {
+        return typeof ack === 'function' && ack({ ok: false, error: 'accountId and label are required' });
+      }
+      const room = this.roomOf(target);
+      socket.leave(room);
+      if (typeof ack === 'function') ack({ ok: true, room });
+    });
+
+    socket.on('disconnect', () => {
+      this.sessionManager.log('SOCKET', 'Client disconnected', { socketId: socket.id });
+    });
+  }
+}
@@ -0,0 +1,17 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+// Single embedded SQLite database shared by the managers that need persistence.
+// Each manager creates its own tables (CREATE TABLE IF NOT EXISTS) on construction.
+export function openDatabase(file = './.data/store.db') {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
@@ -0,0 +1,294 @@
+// Local copy of every message seen per session, so history and lookups don't depend on
+// how much WhatsApp Web happens to have loaded.
+export class MessageStore {
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.db = sessionManager.db;
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        from_id TEXT,
+        to_id TEXT,
+        author TEXT,
+        from_me INTEGER NOT NULL DEFAULT 0,
+        type TEXT,
+        body TEXT,
+        has_media INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        PRIMARY KEY (account_id, label, message_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_chat ON messages(account_id, label, chat_id, timestamp, message_id);
+
+      CREATE TABLE IF NOT EXISTS chats (
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        name TEXT,
+        is_group INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (account_id, label, chat_id)
+      );
+    `);
+
+    this.createSearchIndex();
+
+    this.upsert = this.db.prepare(`
+      INSERT INTO messages (account_id, label, message_id, chat_id, timestamp, from_id, to_id, author, from_me, type, body, has_media, data)
+      VALUES (@accountId, @label, @id, @chatId, @timestamp, @from, @to, @author, @fromMe, @type, @body, @hasMedia, @data)
+      ON CONFLICT(account_id, label, message_id) DO UPDATE SET
+        chat_id = excluded.chat_id, timestamp = excluded.timestamp, type = excluded.type,
+        body = excluded.body, has_media = excluded.has_media, data = excluded.data
+    `);
+    this.upsertMany = this.db.transaction((rows) => rows.forEach(row => this.upsert.run(row)));
+
+    this.upsertChat = this.db.prepare(`
+      INSERT INTO chats (account_id, label, chat_id, name, is_group, updated_at)
+      VALUES (@accountId, @label, @id, @name, @isGroup, @updatedAt)
+      ON CONFLICT(account_id, label, chat_id) DO UPDATE SET
+        name = excluded.name, is_group = excluded.is_group, updated_at = excluded.updated_at
+    `);
+    this.upsertChats = this.db.transaction((rows) => rows.forEach(row => this.upsertChat.run(row)));
+  }
+
+  // FTS5 index over message bodies, kept in sync with `messages` by triggers.
+  // External-content tables key on rowid, so `messages` must never be VACUUMed.
+  createSearchIndex() {
+    const exists = this.db
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'")
+      .get();
+
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        body, content = 'messages', content_rowid = 'rowid', tokenize = 'unicode61 remove_diacritics 2'
+      );
+      CREATE TRIGGER IF NOT EXISTS messages_fts_ai AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts(rowid, body) VALUES (new.rowid, new.body);
+      END;
+      CREATE TRIGGER IF NOT EXISTS messages_fts_ad AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, body) VALUES ('delete', old.rowid, old.body);
+      END;
+      CREATE TRIGGER IF NOT EXISTS messages_fts_au AFTER UPDATE OF body ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, body) VALUES ('delete', old.rowid, old.body);
+        INSERT INTO messages_fts(rowid, body) VALUES (new.rowid, new.body);
+      END;
+    `);
+
+    // Index messages stored before the search index existed
+    if (!exists) {
+      this.db.exec("INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')");
+    }
+  }
+
+  toRow(accountId, label, message) {
+    return {
+      accountId,
+      label,
+      id: message.id,
+      chatId: message.chatId,
+      timestamp: message.timestamp || 0,
+      from: message.from || null,
+      to: message.to || null,
+      author: message.author || null,
+      fromMe: message.fromMe ? 1 : 0,
+      type: message.type || null,
+      body: message.body || null,
+      hasMedia: message.hasMedia ? 1 : 0,
+      data: JSON.stringify(message)
+    };
+  }
+
+  // formatted: output of ChatManager.formatMessage (must carry id and chatId)
+  save(accountId, label, formatted) {
+    try {
+      this.upsert.run(this.toRow(accountId, label, formatted));
+    } catch (error) {
+      this.sessionManager.log('ERROR', 'Failed to store message', { accountId, label, id: formatted.id, error: error.message });
+    }
+  }
+
+  saveMany(accountId, label, formattedList) {
+    if (!formattedList.length) return;
+    try {
+      this.upsertMany(formattedList.map(m => this.toRow(accountId, label, m)));
+    } catch (error) {
+      this.sessionManager.log('ERROR', 'Failed to store messages', { accountId, label, count: formattedList.length, error: error.message });
+    }
+  }
+
+  // chats: output of ChatManager.formatChat
+  saveChats(accountId, label, chats) {
+    if (!chats.length) return;
+    const now = Date.now();
+    try {
+      this.upsertChats(chats.map(c => ({
+        accountId, label, id: c.id, name: c.name || null, isGroup: c.isGroup ? 1 : 0, updatedAt: now
+      })));
+    } catch (error) {
+      this.sessionManager.log('ERROR', 'Failed to store chats', { accountId, label, count: chats.length, error: error.message });
+    }
+  }
+
+  remove(accountId, label, messageId) {
+    this.db
+      .prepare('DELETE FROM messages WHERE account_id = ? AND label = ? AND message_id = ?')
+      .run(accountId, label, messageId);
+  }
+
+  getMessage(accountId, label, messageId) {
+    const row = this.db
+      .prepare('SELECT data FROM messages WHERE account_id = ? AND label = ? AND message_id = ?')
+      .get(accountId, label, messageId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  countChat(accountId, label, chatId) {
+    return this.db
+      .prepare('SELECT COUNT(*) AS n FROM messages WHERE account_id = ? AND label = ? AND chat_id = ?')
+      .get(accountId, label, chatId).n;
+  }
+
+  countNewer(accountId, label, chatId, timestamp) {
+    return this.db
+      .prepare('SELECT COUNT(*) AS n FROM messages WHERE account_id = ? AND label = ? AND chat_id = ? AND timestamp >= ?')
+      .get(accountId, label, chatId, timestamp).n;
+  }
+
+  // Cursor pagination by message ID. Returns messages oldest -> newest.
+  //   before: messages strictly older than that message
+  //   after:  messages strictly newer than that message
+  //   neither: the latest `limit` messages
+  page(accountId, label, chatId, { before, after, limit = 50 } = {}) {
+    const params = { accountId, label, chatId, limit: limit + 1 };
+    let where = 'account_id = @accountId AND label = @label AND chat_id = @chatId';
+    let order = 'DESC';
+
+    const cursorId = after || before;
+    if (cursorId) {
+      const cursor = this.db
+        .prepare('SELECT timestamp, message_id FROM messages WHERE account_id = ? AND label = ? AND message_id = ?')
+        .get(accountId, label, cursorId);
+      if (!cursor) {
+        const error = new Error(`Unknown cursor message: ${cursorId}`);
+        error.code = 'INVALID_CURSOR';
+        throw error;
+      }
+      params.ts = cursor.timestamp;
+      params.mid = cursor.message_id;
+      if (after) {
+        where += ' AND (timestamp > @ts OR (timestamp = @ts AND message_id > @mid))';
+        order = 'ASC';
+      } else {
+        where += ' AND (timestamp < @ts OR (timestamp = @ts AND message_id < @mid))';
+      }
+    }
+
+    const rows = this.db
+      .prepare(`SELECT data FROM messages WHERE ${where} ORDER BY timestamp ${order}, message_id ${order} LIMIT @limit`)
+      .all(params);
+
+    const hasMore = rows.length > limit;
+    const messages = rows.slice(0, limit).map(r => JSON.parse(r.data));
+    if (order === 'DESC') messages.reverse();
+
+    return {
+      messages,
+      hasMore,
+      before: messages.length ? messages[0].id : null,
+      after: messages.length ? messages[messages.length - 1].id : null
+    };
+  }
+
+  // Turn free text into a safe FTS5 query: every word quoted and prefix-matched
+  toMatchQuery(q) {
+    const terms = String(q || '').match(/[\p{L}\p{N}_]+/gu) || [];
+    return terms.map(t => `"${t}"*`).join(' ');
+  }
+
+  // Snippets come back with control-char markers so the text can be HTML-escaped safely
+  // before the markers become <mark> tags
+  markup(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\u0002/g, '<mark>')
+      .replace(/\u0003/g, '</mark>');
+  }
+
+  // Ranked full-text search over stored messages, plus chats whose name matches.
+  //   filters: chatId, sender, fromMe, type, hasMedia, since, until (unix seconds), limit, offset
+  search(accountId, label, q, filters = {}) {
+    const match = this.toMatchQuery(q);
+    if (!match) {
+      const error = new Error('Search query must contain at least one word');
+      error.code = 'INVALID_QUERY';
+      throw error;
+    }
+
+    const { chatId, sender, fromMe, type, hasMedia, since, until, limit = 20, offset = 0 } = filters;
+    const params = { accountId, label, match, limit, offset };
+    const where = ['messages_fts MATCH @match', 'm.account_id = @accountId', 'm.label = @label'];
+
+    if (chatId) { where.push('m.chat_id = @chatId'); params.chatId = chatId; }
+    if (sender) { where.push('(m.author = @sender OR (m.author IS NULL AND m.from_id = @sender))'); params.sender = sender; }
+    if (fromMe !== undefined) { where.push('m.from_me = @fromMe'); params.fromMe = fromMe ? 1 : 0; }
+    if (type) { where.push('m.type = @type'); params.type = type; }
+    if (hasMedia !== undefined) { where.push('m.has_media = @hasMedia'); params.hasMedia = hasMedia ? 1 : 0; }
+    if (since !== undefined) { where.push('m.timestamp >= @since'); params.since = since; }
+    if (until !== undefined) { where.push('m.timestamp <= @until'); params.until = until; }
+
+    const from = `
+      FROM messages_fts
+      JOIN messages m ON m.rowid = messages_fts.rowid
+      LEFT JOIN chats c ON c.account_id = m.account_id AND c.label = m.label AND c.chat_id = m.chat_id
+      WHERE ${where.join(' AND ')}
+    `;
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS n ${from}`).get(params).n;
+    const rows = this.db.prepare(`
+      SELECT m.data, c.name AS chat_name, bm25(messages_fts) AS score,
+        snippet(messages_fts, 0, char(2), char(3), '…', 16) AS snippet,
+        highlight(messages_fts, 0, char(2), char(3)) AS highlighted
+      ${from}
+      ORDER BY score, m.timestamp DESC
+      LIMIT @limit OFFSET @offset
+    `).all(params);
+
+    const chats = chatId ? [] : this.searchChats(accountId, label, q);
+
+    return {
+      query: q,
+      total,
+      limit,
+      offset,
+      hits: rows.map(row => ({
+        // bm25 is lower-is-better; expose higher-is-better
+        score: -row.score,
+        chatName: row.chat_name || null,
+        snippet: this.markup(row.snippet),
+        highlighted: this.markup(row.highlighted),
+        message: JSON.parse(row.data)
+      })),
+      chats
+    };
+  }
+
+  searchChats(accountId, label, q, limit = 20) {
+    const pattern = `%${String(q).trim().replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    return this.db.prepare(`
+      SELECT chat_id, name, is_group FROM chats
+      WHERE account_id = ? AND label = ? AND (name LIKE ? ESCAPE '\\' OR chat_id LIKE ? ESCAPE '\\')
+      ORDER BY name LIMIT ?
+    `).all(accountId, label, pattern, pattern, limit).map(row => ({
+      id: row.chat_id,
+      name: row.name,
+      isGroup: !!row.is_group
+    }));
+  }
+}
@@ -0,0 +1,54 @@
+// Header names (matched case-insensitively) of a column holding phone numbers, by preference
+export const NUMBER_COLUMNS = ['number', 'phone', 'telefone', 'celular', 'whatsapp', 'mobile'];
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes (""), CRLF/LF line endings.
+// Delimiter is auto-detected between comma and semicolon (Excel in pt-BR exports with ";").
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// First row is the header; returns one object per data row keyed by trimmed header names
+export function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+// rows: arrays of cells; quotes cells containing the delimiter, quotes or line breaks
+export function toCsv(rows, delimiter = ',') {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(r => r.map(escape).join(delimiter)).join('\r\n') + '\r\n';
+}
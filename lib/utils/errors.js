@@ -0,0 +1,6 @@
+// Error with a machine-readable `code` that routes map to an HTTP status
+export function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
@@ -0,0 +1,177 @@
+import { spawn } from 'child_process';
+import { getConfig } from '../config/config.js';
+import { codedError } from './errors.js';
+
+const STDERR_TAIL_BYTES = 4096;
+const STDOUT_MAX_BYTES = 1024 * 1024;
+const CHECK_TIMEOUT_MS = 10000;
+
+// Encoders MediaConverter relies on (voice notes, video, stickers and previews, JPEG)
+const ENCODERS = ['libopus', 'libx264', 'aac', 'libwebp', 'mjpeg'];
+
+let pool = null;
+
+// Runs ffmpeg, ffprobe and pdftoppm as child processes, with argument arrays (no shell):
+// at most `concurrency` at a time, later jobs wait in order (up to `maxQueue`), and each
+// is killed after `timeoutMs` or when its AbortSignal fires. Failures are coded errors:
+//   CONVERSION_FAILED      non-zero exit; `details` has { tool, exitCode, signal, stderr, durationMs }
+//   CONVERSION_TIMEOUT     killed after timeoutMs
+//   CONVERSION_CANCELLED   aborted, queued or running
+//   CONVERTER_BUSY         queue full
+//   CONVERTER_UNAVAILABLE  the binary could not be started
+export class FfmpegPool {
+  constructor({ path, ffprobePath, pdftoppmPath, concurrency, timeoutMs, maxQueue }) {
+    this.tools = { ffmpeg: path, ffprobe: ffprobePath, pdftoppm: pdftoppmPath };
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.maxQueue = maxQueue;
+    this.running = new Set();
+    this.queue = [];
+    this.counters = { completed: 0, failed: 0, timedOut: 0, cancelled: 0, rejected: 0 };
+    this.capabilities = null;
+  }
+
+  // -> { stdout, stderr }; options: { timeoutMs, signal }
+  run(tool, args, { timeoutMs = this.timeoutMs, signal } = {}) {
+    if (signal?.aborted) {
+      this.counters.cancelled++;
+      return Promise.reject(codedError(`${tool} cancelled`, 'CONVERSION_CANCELLED'));
+    }
+    if (this.running.size >= this.concurrency && this.queue.length >= this.maxQueue) {
+      this.counters.rejected++;
+      return Promise.reject(codedError(`Media conversion queue is full (${this.maxQueue} waiting)`, 'CONVERTER_BUSY'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { tool, args, timeoutMs, signal, resolve, reject };
+      if (signal) {
+        job.onAbort = () => this.cancel(job);
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      this.queue.push(job);
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.running.size < this.concurrency && this.queue.length) {
+      this.start(this.queue.shift());
+    }
+  }
+
+  cancel(job) {
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      this.counters.cancelled++;
+      job.reject(codedError(`${job.tool} cancelled`, 'CONVERSION_CANCELLED'));
+    } else if (job.child) {
+      job.cancelled = true;
+      job.child.kill('SIGKILL');
+    }
+  }
+
+  start(job) {
+    const { tool, args } = job;
+    const started = Date.now();
+    const stdout = [];
+    let stdoutBytes = 0;
+    let stderr = '';
+    let spawnError = null;
+
+    const child = spawn(this.tools[tool], args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+    job.child = child;
+    this.running.add(job);
+    const timer = setTimeout(() => {
+      job.timedOut = true;
+      child.kill('SIGKILL');
+    }, job.timeoutMs);
+
+    child.stdout.on('data', (chunk) => {
+      if (stdoutBytes >= STDOUT_MAX_BYTES) return;
+      stdout.push(chunk);
+      stdoutBytes += chunk.length;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-STDERR_TAIL_BYTES);
+    });
+    // Failing to start (ENOENT, EACCES) is followed by 'close'
+    child.on('error', (error) => { spawnError = error; });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      job.signal?.removeEventListener('abort', job.onAbort);
+      this.running.delete(job);
+      this.next();
+
+      const details = { tool, exitCode, signal, stderr: stderr.trim(), durationMs: Date.now() - started };
+      const fail = (message, code, counter) => {
+        this.counters[counter]++;
+        job.reject(Object.assign(codedError(message, code), { details }));
+      };
+
+      if (spawnError) {
+        fail(`${tool} could not be started (${this.tools[tool]}): ${spawnError.code || spawnError.message}`, 'CONVERTER_UNAVAILABLE', 'failed');
+      } else if (job.cancelled) {
+        fail(`${tool} cancelled`, 'CONVERSION_CANCELLED', 'cancelled');
+      } else if (job.timedOut) {
+        fail(`${tool} timed out after ${job.timeoutMs / 1000}s`, 'CONVERSION_TIMEOUT', 'timedOut');
+      } else if (exitCode !== 0) {
+        const reason = details.stderr.split('\n').pop() || `exit code ${exitCode}`;
+        fail(`${tool} failed: ${reason}`, 'CONVERSION_FAILED', 'failed');
+      } else {
+        this.counters.completed++;
+        job.resolve({ stdout: Buffer.concat(stdout).toString('utf8'), stderr });
+      }
+    });
+  }
+
+  // Which tools start and which encoders ffmpeg has; kept for /api/health
+  async checkCapabilities() {
+    const probe = async (tool, args) => {
+      const result = { path: this.tools[tool], available: false, version: null };
+      let output;
+      try {
+        const { stdout, stderr } = await this.run(tool, args, { timeoutMs: CHECK_TIMEOUT_MS });
+        output = stdout || stderr;
+      } catch (error) {
+        // Some pdftoppm builds print their version and exit non-zero
+        if (error.code !== 'CONVERSION_FAILED' || !/version/i.test(error.details.stderr)) {
+          return { ...result, error: error.message };
+        }
+        output = error.details.stderr;
+      }
+      return { ...result, available: true, version: /version\s+(\S+)/i.exec(output)?.[1] || null };
+    };
+
+    const ffmpeg = await probe('ffmpeg', ['-hide_banner', '-version']);
+    if (ffmpeg.available) {
+      const { stdout } = await this.run('ffmpeg', ['-hide_banner', '-encoders'], { timeoutMs: CHECK_TIMEOUT_MS })
+        .catch(() => ({ stdout: '' }));
+      ffmpeg.encoders = Object.fromEntries(ENCODERS.map(name => [name, new RegExp(`^\\s*\\S{6}\\s+${name}\\s`, 'm').test(stdout)]));
+    }
+
+    this.capabilities = {
+      ffmpeg,
+      ffprobe: await probe('ffprobe', ['-hide_banner', '-version']),
+      pdftoppm: await probe('pdftoppm', ['-v']),
+      checkedAt: new Date().toISOString()
+    };
+    return this.capabilities;
+  }
+
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      queued: this.queue.length,
+      ...this.counters
+    };
+  }
+}
+
+// The shared pool, sized from config.ffmpeg
+export function getFfmpegPool() {
+  if (!pool) pool = new FfmpegPool(getConfig().ffmpeg);
+  return pool;
+}
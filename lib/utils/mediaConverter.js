@@ -1,13 +1,89 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { writeFileSync, unlinkSync, readFileSync, existsSync, statSync } from 'fs';
+import { promises as fsp } from 'fs';
 import { tmpdir } from 'os';
 import { join } from 'path';
+import { getConfig } from '../config/config.js';
+import { codedError } from './errors.js';
+import { getFfmpegPool } from './ffmpegPool.js';
 
-const execAsync = promisify(exec);
+// Converter input: base64 data, or { path } of a file on disk (e.g. a spooled upload),
+// which ffmpeg then reads directly instead of us copying it through memory
+function isFileInput(input) {
+  return !!input && typeof input === 'object' && typeof input.path === 'string';
+}
+
+// Each conversion works in a fresh directory, removed when it is done
+async function withTempDir(fn) {
+  const dir = await fsp.mkdtemp(join(tmpdir(), 'ws-media-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Path of the input on disk; base64 input is written into the job's directory
+async function inputFile(input, dir, name = 'input') {
+  if (isFileInput(input)) return input.path;
+  const buffer = Buffer.from(input || '', 'base64');
+  if (buffer.length === 0) throw codedError('Empty media data received', 'INVALID_MEDIA');
+  const path = join(dir, name);
+  await fsp.writeFile(path, buffer);
+  return path;
+}
+
+// Jobs go through the shared pool (bounded concurrency, timeouts, cancellation)
+const ffmpeg = (args, { signal } = {}) => (
+  getFfmpegPool().run('ffmpeg', ['-hide_banner', '-loglevel', 'error', '-y', ...args], { signal })
+);
+
+// Waveform analysis decodes to 8 kHz mono 16-bit PCM
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+const VIDEO_AUDIO_KBPS = 128;
+// Below this the picture is not worth sending; a document keeps the original instead
+const MIN_VIDEO_KBPS = 250;
+
+// WhatsApp rejects larger stickers
+const STICKER_MAX_BYTES = 100 * 1024;
+const ANIMATED_STICKER_MAX_BYTES = 500 * 1024;
+const STICKER_MAX_SECONDS = 6;
+const STICKER_CANVAS = 'scale=512:512:force_original_aspect_ratio=decrease,format=rgba,pad=512:512:(ow-iw)/2:(oh-ih)/2:color=0x00000000';
+
+// { duration (s), size (bytes), video / audio codec names (null when absent), width, height }
+async function probe(path, { signal } = {}) {
+  const { stdout } = await getFfmpegPool().run('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=duration,size:stream=codec_type,codec_name,width,height',
+    '-of', 'json',
+    path
+  ], { signal });
+  const { format = {}, streams = [] } = JSON.parse(stdout);
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  return {
+    duration: Number(format.duration) || 0,
+    size: Number(format.size) || 0,
+    video: video?.codec_name || null,
+    audio: audio?.codec_name || null,
+    width: video?.width || 0,
+    height: video?.height || 0
+  };
+}
+
+// Our own refusals pass through as they are; routes map them to 4xx
+const REJECTIONS = ['INVALID_MEDIA', 'MEDIA_TOO_LARGE'];
+
+// Prefix the message, keep the pool's code and details (exit code, stderr) for callers and logs
+function failure(what, error) {
+  if (REJECTIONS.includes(error.code)) return error;
+  return Object.assign(codedError(`${what} failed: ${error.message}`, error.code), { details: error.details });
+}
 
+const mb = (bytes) => Math.round(bytes / 1024 / 1024);
+
+// All methods take an optional AbortSignal (`signal`) that stops the running ffmpeg
 export class MediaConverter {
-  static async convertAudioToWhatsAppFormat(audioData, originalMimeType = 'audio/webm') {
+  static async convertAudioToWhatsAppFormat(audioData, originalMimeType = 'audio/webm', { signal } = {}) {
     // Determine the correct file extension from MIME type
     const getExtension = (mimeType) => {
       const types = {
@@ -25,100 +101,234 @@ export class MediaConverter {
     };
 
     const inputExt = getExtension(originalMimeType);
-    const tempInputPath = join(tmpdir(), `input_${Date.now()}.${inputExt}`);
-    // IMPORTANT: write to .opus so ffmpeg picks the Opus-in-Ogg muxer & correct headers
-    const tempOutputPath = join(tmpdir(), `output_${Date.now()}.opus`);
-    
+
     try {
-      // Write input file with proper validation
-      const audioBuffer = Buffer.from(audioData, 'base64');
-      
-      // Validate the buffer isn't empty
-      if (audioBuffer.length === 0) {
-        throw new Error('Empty audio data received');
-      }
-      
-      writeFileSync(tempInputPath, audioBuffer);
-      
-      // Verify the file was written and has content
-      if (!existsSync(tempInputPath)) {
-        throw new Error('Failed to create temporary input file');
-      }
-      
-      const fileStats = statSync(tempInputPath);
-      if (fileStats.size === 0) {
-        throw new Error('Temporary file is empty');
-      }
-
-      console.log(`Converting audio: ${inputExt} -> opus, size: ${audioBuffer.length} bytes, mime: ${originalMimeType}`);
-      
-      // Convert to WhatsApp-compatible Opus-in-Ogg voice note
-      // Let the .opus extension select the correct muxer; tune for VOIP PTT
-      const command = [
-        'ffmpeg -hide_banner -loglevel error',
-        `-i "${tempInputPath}"`,
-        '-vn',
-        '-c:a libopus',
-        '-b:a 24k',
-        '-ar 48000',
-        '-ac 1',
-        '-application voip',
-        '-frame_duration 20',
-        `"${tempOutputPath}" -y`
-      ].join(' ');
-      console.log(`Executing conversion: ${command}`);
-      
-      await execAsync(command);
-      
-      // Verify output file was created and has content
-      if (!existsSync(tempOutputPath)) {
-        throw new Error('Output file was not created');
-      }
-      
-      const outputStats = statSync(tempOutputPath);
-      if (outputStats.size === 0) {
-        throw new Error('Converted audio file is empty');
-      }
-      
-      const convertedBuffer = readFileSync(tempOutputPath);
-      
-      return {
-        data: convertedBuffer.toString('base64'),
-        // Opus inside Ogg container
-        mimetype: 'audio/ogg; codecs=opus',
-        // using .opus helps some stacks; wwebjs still uses the mimetype above
-        filename: 'voice-note.opus'
-      };
+      return await withTempDir(async (dir) => {
+        const inputPath = await inputFile(audioData, dir, `input.${inputExt}`);
+        // IMPORTANT: write to .opus so ffmpeg picks the Opus-in-Ogg muxer & correct headers
+        const outputPath = join(dir, 'output.opus');
+
+        const { size } = await fsp.stat(inputPath);
+        if (size === 0) {
+          throw codedError('Empty audio data received', 'INVALID_MEDIA');
+        }
+
+        console.log(`Converting audio: ${inputExt} -> opus, size: ${size} bytes, mime: ${originalMimeType}`);
+
+        // Convert to WhatsApp-compatible Opus-in-Ogg voice note
+        // Let the .opus extension select the correct muxer; tune for VOIP PTT
+        const config = getConfig().ffmpeg;
+        await ffmpeg([
+          '-i', inputPath,
+          '-vn',
+          '-c:a', 'libopus',
+          '-b:a', config.voiceBitrate,
+          '-ar', String(config.voiceSampleRate),
+          '-ac', String(config.voiceChannels),
+          '-application', 'voip',
+          '-frame_duration', '20',
+          outputPath
+        ], { signal });
+
+        const convertedBuffer = await fsp.readFile(outputPath);
+        if (convertedBuffer.length === 0) {
+          throw new Error('Converted audio file is empty');
+        }
+
+        return {
+          data: convertedBuffer.toString('base64'),
+          // Opus inside Ogg container
+          mimetype: 'audio/ogg; codecs=opus',
+          // using .opus helps some stacks; wwebjs still uses the mimetype above
+          filename: 'voice-note.opus'
+        };
+      });
     } catch (error) {
-      console.error('Audio conversion error:', error);
-      throw new Error(`Audio conversion failed: ${error.message}`);
-    } finally {
-      // Clean up temp files
-      try { if (existsSync(tempInputPath)) unlinkSync(tempInputPath); } catch (e) {}
-      try { if (existsSync(tempOutputPath)) unlinkSync(tempOutputPath); } catch (e) {}
+      console.error('Audio conversion error:', error.message, error.details || '');
+      throw failure('Audio conversion', error);
     }
   }
 
-  static async ensureWhatsAppImageFormat(imageData, mimetype) {
+  static async ensureWhatsAppImageFormat(imageData, mimetype, { signal } = {}) {
     // Convert various image formats to JPEG for better WhatsApp compatibility
-    const tempInputPath = join(tmpdir(), `img_input_${Date.now()}`);
-    const tempOutputPath = join(tmpdir(), `img_output_${Date.now()}.jpg`);
-    
     try {
-      const imageBuffer = Buffer.from(imageData, 'base64');
-      writeFileSync(tempInputPath, imageBuffer);
-      
-      await execAsync(`ffmpeg -hide_banner -loglevel error -i "${tempInputPath}" -qscale:v 2 -f image2 "${tempOutputPath}" -y`);
-      
-      const convertedBuffer = readFileSync(tempOutputPath);
-      return {
-        data: convertedBuffer.toString('base64'),
-        mimetype: 'image/jpeg',
-        filename: 'image.jpg'
-      };
-    } finally {
-      try { unlinkSync(tempInputPath); } catch (e) {}
-      try { unlinkSync(tempOutputPath); } catch (e) {}
+      return await withTempDir(async (dir) => {
+        const inputPath = await inputFile(imageData, dir);
+        const outputPath = join(dir, 'output.jpg');
+
+        await ffmpeg([
+          '-i', inputPath,
+          '-qscale:v', String(getConfig().ffmpeg.imageQuality),
+          '-f', 'image2',
+          outputPath
+        ], { signal });
+
+        return {
+          data: await fsp.readFile(outputPath, 'base64'),
+          mimetype: 'image/jpeg',
+          filename: 'image.jpg'
+        };
+      });
+    } catch (error) {
+      throw failure('Image conversion', error);
+    }
+  }
+
+  // Still preview `width` px wide (never upscaled) as JPEG or WebP: images as they are,
+  // videos by a representative frame from the first seconds, PDFs by their first page
+  // (rendered with poppler's pdftoppm, which ffmpeg cannot do itself)
+  static async createThumbnail(input, mimetype, { width = 320, format = 'jpeg', signal } = {}) {
+    const extension = format === 'webp' ? 'webp' : 'jpg';
+
+    try {
+      return await withTempDir(async (dir) => {
+        let source = await inputFile(input, dir);
+        if (mimetype === 'application/pdf') {
+          const page = join(dir, 'page');
+          await getFfmpegPool().run('pdftoppm', [
+            '-f', '1', '-l', '1', '-singlefile', '-png',
+            '-scale-to-x', String(width), '-scale-to-y', '-1',
+            source, page
+          ], { signal });
+          source = `${page}.png`;
+        }
+
+        const filters = [`scale='min(${width},iw)':-2`];
+        // `thumbnail` picks the most representative of the first 100 frames (black intros, fades)
+        if (mimetype.startsWith('video/')) filters.unshift('thumbnail');
+        const encoder = format === 'webp' ? ['-c:v', 'libwebp', '-quality', '75'] : ['-q:v', '5'];
+        const outputPath = join(dir, `thumb.${extension}`);
+        await ffmpeg(['-i', source, '-an', '-vf', filters.join(','), '-frames:v', '1', ...encoder, outputPath], { signal });
+
+        return {
+          buffer: await fsp.readFile(outputPath),
+          mimetype: format === 'webp' ? 'image/webp' : 'image/jpeg',
+          filename: `thumb.${extension}`
+        };
+      });
+    } catch (error) {
+      throw failure('Thumbnail', error);
+    }
+  }
+
+  // Duration (seconds) and a waveform for audio: `bars` peak levels 0-100, as WhatsApp
+  // shows for voice notes. The decoded PCM goes to a temp file and is read a bar at a time.
+  static async analyzeAudio(input, { bars = 64, signal } = {}) {
+    try {
+      return await withTempDir(async (dir) => {
+        const inputPath = await inputFile(input, dir);
+        const pcmPath = join(dir, 'samples.raw');
+        await ffmpeg(['-i', inputPath, '-vn', '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE), '-f', 's16le', pcmPath], { signal });
+
+        const samples = Math.floor((await fsp.stat(pcmPath)).size / 2);
+        const perBar = Math.max(1, Math.ceil(samples / bars));
+        const peaks = [];
+        const handle = await fsp.open(pcmPath, 'r');
+        try {
+          const chunk = Buffer.alloc(perBar * 2);
+          for (let start = 0; start < samples; start += perBar) {
+            const { bytesRead } = await handle.read(chunk, 0, chunk.length, start * 2);
+            let peak = 0;
+            for (let i = 0; i + 1 < bytesRead; i += 2) peak = Math.max(peak, Math.abs(chunk.readInt16LE(i)));
+            peaks.push(peak);
+          }
+        } finally {
+          await handle.close();
+        }
+
+        const loudest = Math.max(1, ...peaks);
+        return {
+          duration: Math.round(samples / WAVEFORM_SAMPLE_RATE * 1000) / 1000,
+          waveform: peaks.map(peak => Math.round(peak / loudest * 100))
+        };
+      });
+    } catch (error) {
+      throw failure('Audio analysis', error);
+    }
+  }
+
+  // H.264/AAC MP4 that plays on every phone, within ffmpeg.videoMaxBytes: the bitrate is
+  // chosen from the duration so the result fits, capped at videoMaxBitrateKbps, and the long
+  // edge scaled to videoMaxDimension. Returns null when the clip can be sent as it is.
+  static async ensureWhatsAppVideoFormat(videoData, mimetype, filename = 'video.mp4', { signal } = {}) {
+    const config = getConfig().ffmpeg;
+
+    try {
+      return await withTempDir(async (dir) => {
+        const inputPath = await inputFile(videoData, dir);
+        const info = await probe(inputPath, { signal });
+        if (!info.video) throw codedError('No video stream found', 'INVALID_MEDIA');
+
+        const playable = mimetype === 'video/mp4' && info.video === 'h264' && (!info.audio || info.audio === 'aac');
+        if (playable && info.size <= config.videoMaxBytes && Math.max(info.width, info.height) <= config.videoMaxDimension) {
+          return null;
+        }
+
+        // ~5% of the size cap is left for the container
+        const audioKbps = info.audio ? VIDEO_AUDIO_KBPS : 0;
+        const budgetKbps = info.duration
+          ? Math.floor(config.videoMaxBytes * 8 * 0.95 / info.duration / 1000) - audioKbps
+          : config.videoMaxBitrateKbps;
+        const videoKbps = Math.min(config.videoMaxBitrateKbps, budgetKbps);
+        if (videoKbps < MIN_VIDEO_KBPS) {
+          throw codedError(`Video is too long to fit in ${mb(config.videoMaxBytes)}MB; send it as a document instead`, 'MEDIA_TOO_LARGE');
+        }
+
+        const max = config.videoMaxDimension;
+        const outputPath = join(dir, 'output.mp4');
+        await ffmpeg([
+          '-i', inputPath,
+          '-map', '0:v:0', '-map', '0:a:0?',
+          '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+          '-vf', `scale='if(gte(iw,ih),min(${max},iw),-2)':'if(gte(iw,ih),-2,min(${max},ih))'`,
+          '-b:v', `${videoKbps}k`, '-maxrate', `${videoKbps}k`, '-bufsize', `${videoKbps * 2}k`,
+          '-c:a', 'aac', '-b:a', `${VIDEO_AUDIO_KBPS}k`, '-ac', '2',
+          '-movflags', '+faststart',
+          outputPath
+        ], { signal });
+
+        const { size } = await fsp.stat(outputPath);
+        if (size > config.videoMaxBytes) {
+          throw codedError(`Converted video is ${mb(size)}MB, over the ${mb(config.videoMaxBytes)}MB limit; send it as a document instead`, 'MEDIA_TOO_LARGE');
+        }
+        return {
+          data: await fsp.readFile(outputPath, 'base64'),
+          mimetype: 'video/mp4',
+          filename: filename.replace(/\.[^.]*$/, '') + '.mp4'
+        };
+      });
+    } catch (error) {
+      throw failure('Video conversion', error);
+    }
+  }
+
+  // 512x512 WebP sticker (transparent padding). Videos and GIFs become animated stickers of
+  // up to STICKER_MAX_SECONDS; quality steps down until WhatsApp's size limit is met.
+  static async convertToSticker(mediaData, mimetype, { signal } = {}) {
+    const animated = mimetype.startsWith('video/') || mimetype === 'image/gif';
+    const attempts = animated ? [{ fps: 15, quality: 60 }, { fps: 10, quality: 35 }] : [{ quality: 80 }, { quality: 50 }];
+    const limit = animated ? ANIMATED_STICKER_MAX_BYTES : STICKER_MAX_BYTES;
+
+    try {
+      return await withTempDir(async (dir) => {
+        const inputPath = await inputFile(mediaData, dir);
+        const outputPath = join(dir, 'sticker.webp');
+
+        for (const { fps, quality } of attempts) {
+          const encode = animated
+            ? ['-t', String(STICKER_MAX_SECONDS), '-vf', `fps=${fps},${STICKER_CANVAS}`, '-c:v', 'libwebp', '-quality', String(quality), '-loop', '0', '-an', '-vsync', '0']
+            : ['-vf', STICKER_CANVAS, '-frames:v', '1', '-c:v', 'libwebp', '-quality', String(quality)];
+          await ffmpeg(['-i', inputPath, ...encode, outputPath], { signal });
+
+          const { size } = await fsp.stat(outputPath);
+          if (size <= limit) {
+            return { data: await fsp.readFile(outputPath, 'base64'), mimetype: 'image/webp', filename: 'sticker.webp' };
+          }
+        }
+        throw codedError(`Sticker is over WhatsApp's ${limit / 1024}KB limit even at low quality`, 'MEDIA_TOO_LARGE');
+      });
+    } catch (error) {
+      throw failure('Sticker conversion', error);
     }
   }
 }
@@ -0,0 +1,17 @@
+import { codedError } from './errors.js';
+
+// Paths carrying a session in the URL: /sessions/:accountId/:label/... Express matches
+// routes case-insensitively, so this does too (/Sessions/... reaches the same handlers).
+const SESSION_PATH = /^\/sessions\/([^/]+)\/([^/]+)(?:\/|$)/i;
+
+// { accountId, label } of a request path, or null when it names no session.
+// Throws INVALID_SESSION_PATH when the segments are not valid percent-encoding.
+export function sessionOfPath(path) {
+  const match = SESSION_PATH.exec(path);
+  if (!match) return null;
+  try {
+    return { accountId: decodeURIComponent(match[1]), label: decodeURIComponent(match[2]) };
+  } catch {
+    throw codedError('Malformed session path', 'INVALID_SESSION_PATH');
+  }
+}
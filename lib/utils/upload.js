@@ -0,0 +1,40 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import { getConfig } from '../config/config.js';
+
+let upload = null;
+
+// Delete the spooled files once the response is done (sent, failed or aborted)
+function removeAfterResponse(req, res, next) {
+  res.on('close', () => {
+    const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())];
+    for (const file of files) {
+      if (file?.path) fs.rm(file.path, { force: true }, () => {});
+    }
+  });
+  next();
+}
+
+// Shared multer setup for multipart uploads. Files are spooled to disk (media.uploadDir,
+// default the OS temp dir) rather than held in memory, capped by media.uploadLimitBytes;
+// handlers read `req.file.path`. Same interface as multer: upload.single('field').
+export function getUpload() {
+  if (!upload) {
+    const { uploadDir, uploadLimitBytes } = getConfig().media;
+    const dest = path.resolve(uploadDir || path.join(os.tmpdir(), 'ws-server-uploads'));
+    fs.mkdirSync(dest, { recursive: true });
+
+    const instance = multer({ dest, limits: { fileSize: uploadLimitBytes } });
+    upload = {
+      single: (field) => [instance.single(field), removeAfterResponse]
+    };
+  }
+  return upload;
+}
+
+// Contents of a spooled upload (for small files: CSVs, pictures, archives)
+export function readUpload(file, encoding) {
+  return fs.promises.readFile(file.path, encoding);
+}
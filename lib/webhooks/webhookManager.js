@@ -0,0 +1,409 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+export const WEBHOOK_EVENTS = [
+  'qr',
+  'pairing_code',
+  'status',
+  'message',
+  'message_ack',
+  'message_revoke_everyone',
+  'message_edit',
+  'message_reaction',
+  'group_join',
+  'group_leave',
+  'group_admin_changed',
+  'group_update',
+  'group_participants',
+  'session_destroyed'
+];
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 2000;    // 2s, 4s, 8s, ... capped below
+const MAX_DELAY_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // successful deliveries kept 7 days
+
+export class WebhookManager extends EventEmitter {
+  constructor(sessionManager) {
+    super();
+    this.sessionManager = sessionManager;
+    this.db = sessionManager.db;
+    this.timers = new Map(); // deliveryId -> retry timeout
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhooks_session ON webhooks(account_id, label);
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        next_attempt_at INTEGER,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+    `);
+
+    for (const event of WEBHOOK_EVENTS) {
+      sessionManager.on(event, (data) => this.dispatch(event, data));
+    }
+
+    this.resumePending();
+    this.pruneTimer = setInterval(() => this.pruneDeliveries(), 60 * 60 * 1000);
+    this.pruneTimer.unref();
+  }
+
+  keyOf(accountId, label) {
+    return `${accountId}::${label}`;
+  }
+
+  // --- Registration CRUD ---
+
+  normalizeEvents(events) {
+    if (events === undefined || events === null) return ['*'];
+    const list = Array.isArray(events) ? events : [events];
+    const invalid = list.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (invalid.length) {
+      throw new Error(`Unknown webhook event(s): ${invalid.join(', ')}. Allowed: ${WEBHOOK_EVENTS.join(', ')}, *`);
+    }
+    return list.length ? list : ['*'];
+  }
+
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Invalid webhook url');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('Webhook url must use http or https');
+    }
+    return parsed.toString();
+  }
+
+  formatWebhook(row, { includeSecret = false } = {}) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      label: row.label,
+      url: row.url,
+      events: JSON.parse(row.events),
+      active: !!row.active,
+      secret: includeSecret ? row.secret : `${row.secret.slice(0, 4)}…`,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  getRow(accountId, label, webhookId) {
+    return this.db
+      .prepare('SELECT * FROM webhooks WHERE id = ? AND account_id = ? AND label = ?')
+      .get(webhookId, accountId, label);
+  }
+
+  listWebhooks(accountId, label) {
+    return this.db
+      .prepare('SELECT * FROM webhooks WHERE account_id = ? AND label = ? ORDER BY created_at')
+      .all(accountId, label)
+      .map(row => this.formatWebhook(row));
+  }
+
+  getWebhook(accountId, label, webhookId) {
+    return this.formatWebhook(this.getRow(accountId, label, webhookId));
+  }
+
+  createWebhook(accountId, label, { url, secret, events, active = true } = {}) {
+    if (!url) throw new Error('url is required');
+    const now = Date.now();
+    const row = {
+      id: crypto.randomUUID(),
+      account_id: accountId,
+      label,
+      url: this.validateUrl(url),
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      events: JSON.stringify(this.normalizeEvents(events)),
+      active: active ? 1 : 0,
+      created_at: now,
+      updated_at: now
+    };
+    this.db.prepare(`
+      INSERT INTO webhooks (id, account_id, label, url, secret, events, active, created_at, updated_at)
+      VALUES (@id, @account_id, @label, @url, @secret, @events, @active, @created_at, @updated_at)
+    `).run(row);
+
+    this.sessionManager.log('WEBHOOK', 'Webhook registered', { accountId, label, id: row.id, url: row.url });
+    // The secret is only returned in full on creation
+    return this.formatWebhook(row, { includeSecret: true });
+  }
+
+  updateWebhook(accountId, label, webhookId, changes = {}) {
+    const row = this.getRow(accountId, label, webhookId);
+    if (!row) return null;
+
+    if (changes.url !== undefined) row.url = this.validateUrl(changes.url);
+    if (changes.secret !== undefined) row.secret = String(changes.secret);
+    if (changes.events !== undefined) row.events = JSON.stringify(this.normalizeEvents(changes.events));
+    if (changes.active !== undefined) row.active = changes.active ? 1 : 0;
+    row.updated_at = Date.now();
+
+    this.db.prepare(`
+      UPDATE webhooks SET url = @url, secret = @secret, events = @events, active = @active, updated_at = @updated_at
+      WHERE id = @id
+    `).run(row);
+    return this.formatWebhook(row, { includeSecret: changes.secret !== undefined });
+  }
+
+  deleteWebhook(accountId, label, webhookId) {
+    const pending = this.db
+      .prepare("SELECT id FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'")
+      .all(webhookId);
+    const result = this.db
+      .prepare('DELETE FROM webhooks WHERE id = ? AND account_id = ? AND label = ?')
+      .run(webhookId, accountId, label);
+    if (!result.changes) return false;
+
+    pending.forEach(({ id }) => this.clearTimer(id));
+    this.sessionManager.log('WEBHOOK', 'Webhook removed', { accountId, label, id: webhookId });
+    return true;
+  }
+
+  // --- Dispatch & delivery ---
+
+  // Runs inside SessionManager.emit(): store errors are logged here, never thrown back
+  // into the session's event handlers
+  dispatch(event, data) {
+    if (!data?.accountId || !data?.label) return;
+
+    let hooks;
+    try {
+      hooks = this.db
+        .prepare('SELECT * FROM webhooks WHERE account_id = ? AND label = ? AND active = 1')
+        .all(data.accountId, data.label);
+    } catch (error) {
+      this.sessionManager.log('ERROR', 'Webhook lookup failed', { event, error: error.message });
+      return;
+    }
+
+    for (const hook of hooks) {
+      try {
+        const events = JSON.parse(hook.events);
+        if (!events.includes('*') && !events.includes(event)) continue;
+        this.enqueue(hook, event, data);
+      } catch (error) {
+        this.sessionManager.log('ERROR', 'Failed to queue webhook delivery', { webhookId: hook.id, event, error: error.message });
+      }
+    }
+  }
+
+  enqueue(hook, event, data) {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+    const payload = {
+      id,
+      event,
+      accountId: hook.account_id,
+      label: hook.label,
+      timestamp: new Date(now).toISOString(),
+      data
+    };
+
+    this.db.prepare(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, next_attempt_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+    `).run(id, hook.id, event, JSON.stringify(payload), now, now, now);
+
+    this.start(id);
+    return id;
+  }
+
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Attempts run in the background; one that throws (e.g. a store error) leaves the
+  // delivery pending until the next resume
+  start(deliveryId) {
+    this.attempt(deliveryId).catch((error) => {
+      this.sessionManager.log('ERROR', 'Webhook delivery attempt failed', { deliveryId, error: error.message });
+    });
+  }
+
+  async attempt(deliveryId) {
+    this.timers.delete(deliveryId);
+
+    const delivery = this.db.prepare(`
+      SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = ?
+    `).get(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'cip-ws-server-webhooks',
+          'X-Webhook-Id': delivery.webhook_id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Attempt': String(attempts),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': this.sign(delivery.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      // Drain the body so the connection can be reused
+      await response.arrayBuffer().catch(() => {});
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT_MS}ms` : e.message;
+    }
+
+    const now = Date.now();
+    let status = 'success';
+    let nextAttemptAt = null;
+
+    if (error) {
+      if (attempts >= MAX_ATTEMPTS) {
+        status = 'dead';
+      } else {
+        status = 'pending';
+        const delay = Math.min(BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+        nextAttemptAt = now + delay + Math.floor(Math.random() * 500);
+      }
+    }
+
+    this.db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(status, attempts, responseStatus, error, nextAttemptAt, now, deliveryId);
+
+    if (status === 'pending') {
+      this.schedule(deliveryId, nextAttemptAt - now);
+    } else if (status === 'dead') {
+      this.sessionManager.log('WEBHOOK', 'Delivery moved to dead-letter queue', {
+        deliveryId, webhookId: delivery.webhook_id, event: delivery.event, error
+      });
+      this.emit('dead_letter', { deliveryId, webhookId: delivery.webhook_id, event: delivery.event, error });
+    }
+  }
+
+  schedule(deliveryId, delayMs) {
+    this.clearTimer(deliveryId);
+    const timer = setTimeout(() => this.start(deliveryId), Math.max(0, delayMs));
+    timer.unref();
+    this.timers.set(deliveryId, timer);
+  }
+
+  clearTimer(deliveryId) {
+    const timer = this.timers.get(deliveryId);
+    if (timer) clearTimeout(timer);
+    this.timers.delete(deliveryId);
+  }
+
+  // Re-arm retries that were pending when the process stopped
+  resumePending() {
+    const pending = this.db
+      .prepare("SELECT id, next_attempt_at FROM webhook_deliveries WHERE status = 'pending'")
+      .all();
+    const now = Date.now();
+    pending.forEach(({ id, next_attempt_at }) => this.schedule(id, (next_attempt_at || now) - now));
+    if (pending.length) {
+      this.sessionManager.log('WEBHOOK', `Resumed ${pending.length} pending webhook deliveries`);
+    }
+  }
+
+  pruneDeliveries() {
+    this.db
+      .prepare("DELETE FROM webhook_deliveries WHERE status = 'success' AND updated_at < ?")
+      .run(Date.now() - LOG_RETENTION_MS);
+  }
+
+  // Send a synthetic `ping` event to check a receiver
+  ping(accountId, label, webhookId) {
+    const hook = this.getRow(accountId, label, webhookId);
+    if (!hook) return null;
+    return this.enqueue(hook, 'ping', { accountId, label, message: 'Webhook test delivery' });
+  }
+
+  // --- Delivery log & dead-letter queue ---
+
+  formatDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      status: row.status,
+      attempts: row.attempts,
+      responseStatus: row.response_status,
+      error: row.error,
+      nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString(),
+      payload: JSON.parse(row.payload)
+    };
+  }
+
+  listDeliveries(webhookId, { status, limit = 50 } = {}) {
+    const capped = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const rows = status
+      ? this.db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND status = ? ORDER BY created_at DESC LIMIT ?')
+        .all(webhookId, status, capped)
+      : this.db.prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?')
+        .all(webhookId, capped);
+    return rows.map(row => this.formatDelivery(row));
+  }
+
+  getDelivery(webhookId, deliveryId) {
+    const row = this.db
+      .prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?')
+      .get(deliveryId, webhookId);
+    return row ? this.formatDelivery(row) : null;
+  }
+
+  // Put a dead (or failed) delivery back in the queue with a fresh attempt budget
+  redeliver(webhookId, deliveryId) {
+    const now = Date.now();
+    const result = this.db.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, error = NULL, next_attempt_at = ?, updated_at = ?
+      WHERE id = ? AND webhook_id = ? AND status = 'dead'
+    `).run(now, now, deliveryId, webhookId);
+    if (!result.changes) return false;
+    this.start(deliveryId);
+    return true;
+  }
+
+  close() {
+    clearInterval(this.pruneTimer);
+    for (const id of this.timers.keys()) this.clearTimer(id);
+  }
+}
@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import { redactConfig } from '../lib/config/config.js';
+import { getUpload, readUpload } from '../lib/utils/upload.js';
+
+export function createAdminRoutes(sessionManager, authManager) {
+  const router = Router();
+  const transfer = sessionManager.getSessionTransfer();
+  const mediaCache = sessionManager.getMediaCache();
+  const upload = getUpload();
+
+  const toBool = (v) => v === true || v === 'true' || v === '1';
+
+  const statusOf = (error) => {
+    if (error.message === 'Session not found' || error.code === 'SESSION_NOT_FOUND') return 404;
+    if (error.code === 'INVALID_TRANSFER_REQUEST' || error.code === 'INVALID_ARCHIVE') return 400;
+    if (error.code === 'SESSION_EXISTS' || error.code === 'ACTION_REJECTED') return 409;
+    return 500;
+  };
+
+  router.use('/admin', authManager.requireAdmin());
+
+  // Effective configuration (env + CONFIG_FILE + defaults), secrets redacted
+  router.get('/admin/config', (req, res) => {
+    res.json(redactConfig(sessionManager.config));
+  });
+
+  // Encrypted archive of a session's auth data: { passphrase }
+  // A running session is stopped while the archive is built, then started again
+  router.post('/admin/sessions/:accountId/:label/export', async (req, res) => {
+    const { accountId, label } = req.params;
+    try {
+      const { filename, body } = await transfer.exportSession(accountId, label, req.body?.passphrase);
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(body);
+    } catch (error) {
+      res.status(statusOf(error)).json({ error: error.message });
+    }
+  });
+
+  // multipart: archive (file), passphrase, and optionally accountId, label, overwrite, start
+  router.post('/admin/sessions/import', upload.single('archive'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'archive file is required' });
+    const { passphrase, accountId, label, overwrite, start } = req.body;
+    try {
+      const result = await transfer.importSession(await readUpload(req.file), passphrase, {
+        accountId,
+        label,
+        overwrite: toBool(overwrite),
+        start: start === undefined ? true : toBool(start)
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(statusOf(error)).json({ error: error.message });
+    }
+  });
+
+  // Auth data stored under pre-`accountId__label` names
+  router.get('/admin/sessions/legacy', async (req, res) => {
+    try {
+      res.json(await transfer.listLegacy());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // { from: 'default-client', accountId, label }
+  router.post('/admin/sessions/migrate', async (req, res) => {
+    const { from, accountId, label } = req.body || {};
+    try {
+      res.json(await transfer.migrateLegacy(from, accountId, label));
+    } catch (error) {
+      res.status(statusOf(error)).json({ error: error.message });
+    }
+  });
+
+  // Media cache: hit rate, bytes and entries (in total and per session)
+  router.get('/admin/media-cache', (req, res) => {
+    res.json(mediaCache.stats());
+  });
+
+  // Purge every session's cached media
+  router.delete('/admin/media-cache', async (req, res) => {
+    try {
+      res.json(await mediaCache.purgeAll());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // One session: totals and the most recently used entries (?limit=)
+  router.get('/admin/media-cache/:accountId/:label', (req, res) => {
+    const { accountId, label } = req.params;
+    res.json(mediaCache.sessionStats(accountId, label, { limit: req.query.limit }));
+  });
+
+  router.delete('/admin/media-cache/:accountId/:label', async (req, res) => {
+    const { accountId, label } = req.params;
+    try {
+      res.json(await mediaCache.purge(accountId, label));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,62 @@
+import { Router } from 'express';
+import { getUpload, readUpload } from '../lib/utils/upload.js';
+import { parseCsvObjects } from '../lib/utils/csv.js';
+
+export function createBroadcastRoutes(sessionManager) {
+  const router = Router();
+  const broadcastManager = sessionManager.getBroadcastManager();
+  const upload = getUpload();
+
+  const base = '/sessions/:accountId/:label/broadcasts';
+
+  router.get(base, (req, res) => {
+    const { accountId, label } = req.params;
+    res.json(broadcastManager.list(accountId, label, { limit: req.query.limit }));
+  });
+
+  // Start a broadcast.
+  // JSON: { template: 'Hi {{name}}', recipients: ['5511999999999', { number, ...fields }], sendAt? }
+  // Multipart: `csv` file (header row with a number/phone/chatId column, other columns become
+  // template fields) plus `template` and optional `sendAt` fields
+  router.post(base, upload.single('csv'), async (req, res) => {
+    const { accountId, label } = req.params;
+    const { template, sendAt } = req.body || {};
+    let { recipients } = req.body || {};
+
+    if (req.file) {
+      try {
+        recipients = parseCsvObjects(await readUpload(req.file, 'utf8'));
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+      }
+    } else if (typeof recipients === 'string') {
+      // Multipart without a file: newline/comma separated numbers
+      recipients = recipients.split(/[\n,;]+/).map(r => r.trim()).filter(Boolean);
+    }
+
+    try {
+      const report = broadcastManager.create(accountId, label, { template, recipients, sendAt });
+      res.status(202).json(report);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Report: per-recipient sent / failed / unregistered / invalid / queued / pending
+  router.get(`${base}/:broadcastId`, (req, res) => {
+    const { accountId, label, broadcastId } = req.params;
+    const report = broadcastManager.getReport(accountId, label, broadcastId);
+    if (!report) return res.status(404).json({ error: 'Broadcast not found' });
+    res.json(report);
+  });
+
+  // Cancel: stops validation and cancels queued messages not yet sent
+  router.delete(`${base}/:broadcastId`, (req, res) => {
+    const { accountId, label, broadcastId } = req.params;
+    const report = broadcastManager.cancel(accountId, label, broadcastId);
+    if (!report) return res.status(404).json({ error: 'Broadcast not found' });
+    res.json(report);
+  });
+
+  return router;
+}
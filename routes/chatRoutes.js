@@ -1,52 +1,50 @@
 import { Router } from 'express';
-import multer from 'multer';
-import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from 'fs';
-import { join } from 'path';
+import fs from 'fs';
+import { getUpload } from '../lib/utils/upload.js';
+import { serveMedia, memoryEntry } from '../lib/media/mediaResponse.js';
 
-const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB
-});
+// Media conversion and preview errors (see MediaConverter, FfmpegPool) -> HTTP status
+const MEDIA_ERROR_STATUS = {
+  INVALID_MEDIA: 400,
+  INVALID_PREVIEW_REQUEST: 400,
+  MEDIA_TOO_LARGE: 413,
+  PREVIEW_UNSUPPORTED: 415,
+  CONVERSION_FAILED: 422,
+  CONVERTER_BUSY: 503,
+  CONVERTER_UNAVAILABLE: 503,
+  CONVERSION_TIMEOUT: 504
+};
 
 export function createChatRoutes(sessionManager, io) {
   const router = Router();
   const chatManager = sessionManager.getChatManager();
+  const outboxManager = sessionManager.getOutboxManager();
+  const mediaCache = sessionManager.getMediaCache();
+  const mediaPreviews = sessionManager.getMediaPreviews();
+  const upload = getUpload();
 
-  // --- Disk cache for media (persists across process restarts) ---
-  const MEDIA_DIR = join(process.cwd(), '.media_cache');
-  if (!existsSync(MEDIA_DIR)) mkdirSync(MEDIA_DIR, { recursive: true });
-
-  function diskPathFor(messageId) {
-    // store as: .media_cache/<messageId>.<ext or bin>
-    return join(MEDIA_DIR, messageId);
-  }
-  function loadFromDisk(messageId) {
-    const base = diskPathFor(messageId);
-    if (!existsSync(base)) return null;
+  // Send routes go through the outbox when asked to (`queue: true`) or scheduled (`sendAt`)
+  // Multipart fields arrive as strings
+  const isTrue = (value) => value === true || value === 'true';
+  const wantsQueue = (body = {}) => isTrue(body.queue) || !!body.sendAt;
+  // Aborts when the client disconnects before the response, so conversions for it stop
+  const abortOnClose = (res) => {
+    const gone = new AbortController();
+    res.on('close', () => { if (!res.writableFinished) gone.abort(); });
+    return gone.signal;
+  };
+
+  // spooled: file from outboxManager.spoolUpload(), removed again if the job is refused
+  const enqueue = (req, res, type, payload, spooled) => {
+    const { accountId, label, chatId } = req.params;
     try {
-      const meta = JSON.parse(readFileSync(base + '.json', 'utf8'));
-      const data = readFileSync(base + '.bin');
-      return { buffer: data, mimetype: meta.mimetype, filename: meta.filename || `media_${messageId}` };
-    } catch {
-      return null;
+      const job = outboxManager.enqueue(accountId, label, chatId, type, payload, { sendAt: req.body.sendAt });
+      res.status(202).json(job);
+    } catch (error) {
+      if (spooled) fs.rm(spooled, { force: true }, () => {});
+      res.status(400).json({ error: error.message });
     }
-  }
-  function saveToDisk(messageId, buffer, mimetype, filename) {
-    const base = diskPathFor(messageId);
-    writeFileSync(base + '.bin', buffer);
-    writeFileSync(base + '.json', JSON.stringify({ mimetype, filename }, null, 2));
-  }
-
-  // --- Simple in-memory cache (short TTL) for fast range slicing ---
-  const MEMORY_CACHE = new Map();
-  const TTL = 10 * 60 * 1000; // 10 minutes
-  const getMem = (k) => {
-    const v = MEMORY_CACHE.get(k);
-    if (!v) return null;
-    if (Date.now() - v.ts > TTL) { MEMORY_CACHE.delete(k); return null; }
-    return v;
   };
-  const setMem = (k, val) => MEMORY_CACHE.set(k, { ...val, ts: Date.now() });
 
   // Get all chats
   router.get('/sessions/:accountId/:label/chats', async (req, res) => {
@@ -70,48 +68,165 @@ export function createChatRoutes(sessionManager, io) {
     }
   });
 
-  // Get messages
+  // --- Chat state (seen/unread, archive, pin, mute, clear, delete, presence) ---
+
+  const chatBase = '/sessions/:accountId/:label/chats/:chatId';
+  const chatAction = (handler) => async (req, res) => {
+    const { accountId, label, chatId } = req.params;
+    try {
+      res.json(await handler(accountId, label, chatId, req));
+    } catch (error) {
+      if (error.message === 'Session not found' || error.code === 'CHAT_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.code === 'ACTION_REJECTED') return res.status(409).json({ error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.post(`${chatBase}/seen`, chatAction((a, l, c) => chatManager.markSeen(a, l, c)));
+  router.post(`${chatBase}/unread`, chatAction((a, l, c) => chatManager.markUnread(a, l, c)));
+  router.post(`${chatBase}/archive`, chatAction((a, l, c) => chatManager.setArchived(a, l, c, true)));
+  router.delete(`${chatBase}/archive`, chatAction((a, l, c) => chatManager.setArchived(a, l, c, false)));
+  router.post(`${chatBase}/pin`, chatAction((a, l, c) => chatManager.setPinned(a, l, c, true)));
+  router.delete(`${chatBase}/pin`, chatAction((a, l, c) => chatManager.setPinned(a, l, c, false)));
+  router.delete(`${chatBase}/mute`, chatAction((a, l, c) => chatManager.unmute(a, l, c)));
+  router.post(`${chatBase}/clear`, chatAction((a, l, c) => chatManager.clearChat(a, l, c)));
+  router.delete(chatBase, chatAction((a, l, c) => chatManager.deleteChat(a, l, c)));
+
+  // Mute: { duration: seconds } or { until: ISO date }; neither mutes forever
+  router.post(`${chatBase}/mute`, (req, res, next) => {
+    const { duration, until } = req.body || {};
+    let date = null;
+    if (duration !== undefined) {
+      const seconds = Number(duration);
+      if (!(seconds > 0)) return res.status(400).json({ error: 'duration must be a positive number of seconds' });
+      date = new Date(Date.now() + seconds * 1000);
+    } else if (until !== undefined) {
+      date = new Date(until);
+      if (isNaN(date.getTime()) || date <= new Date()) return res.status(400).json({ error: 'until must be a future ISO date' });
+    }
+    req.muteUntil = date;
+    next();
+  }, chatAction((a, l, c, req) => chatManager.mute(a, l, c, req.muteUntil)));
+
+  // Presence: { state: 'typing' | 'recording' | 'paused' }
+  router.post(`${chatBase}/presence`, (req, res, next) => {
+    if (!['typing', 'recording', 'paused'].includes(req.body?.state)) {
+      return res.status(400).json({ error: 'state must be typing, recording or paused' });
+    }
+    next();
+  }, chatAction((a, l, c, req) => chatManager.sendPresence(a, l, c, req.body.state)));
+
+  // Get messages (cursor pagination: ?limit=50&before=<messageId> | &after=<messageId>)
+  // Body stays a plain array; cursors are returned in X-Cursor-Before / X-Cursor-After / X-Has-More
   router.get('/sessions/:accountId/:label/chats/:chatId/messages', async (req, res) => {
     const { accountId, label, chatId } = req.params;
-    const { limit = 50 } = req.query;
+    const { limit = 50, before, after } = req.query;
+    if (before && after) return res.status(400).json({ error: 'Use either "before" or "after", not both' });
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
     try {
-      const messages = await chatManager.getMessages(accountId, label, chatId, parseInt(limit));
-      res.json(messages);
+      const page = await chatManager.getMessages(accountId, label, chatId, {
+        limit: parsedLimit,
+        before: before ? String(before) : undefined,
+        after: after ? String(after) : undefined
+      });
+      if (page.before) res.setHeader('X-Cursor-Before', page.before);
+      if (page.after) res.setHeader('X-Cursor-After', page.after);
+      res.setHeader('X-Has-More', String(page.hasMore));
+      res.json(page.messages);
     } catch (error) {
+      if (error.code === 'INVALID_CURSOR') return res.status(400).json({ error: error.message });
       res.status(500).json({ error: error.message });
     }
   });
 
-  // Send text
+  // Search stored messages and chat names
+  // ?q=invoice&chatId=&sender=&fromMe=true|false&type=&hasMedia=true|false&since=&until=&limit=20&offset=0
+  // since/until accept unix seconds or an ISO date
+  router.get('/sessions/:accountId/:label/search', (req, res) => {
+    const { accountId, label } = req.params;
+    const { q, chatId, sender, fromMe, type, hasMedia, since, until, limit = 20, offset = 0 } = req.query;
+    if (!q) return res.status(400).json({ error: 'Query param "q" is required' });
+
+    const toBool = (v) => (v === undefined ? undefined : v === 'true' || v === '1');
+    const toUnix = (v) => {
+      if (v === undefined) return undefined;
+      if (/^\d+$/.test(v)) return parseInt(v, 10);
+      const ms = Date.parse(v);
+      return isNaN(ms) ? NaN : Math.floor(ms / 1000);
+    };
+
+    const filters = {
+      chatId: chatId ? String(chatId) : undefined,
+      sender: sender ? String(sender) : undefined,
+      fromMe: toBool(fromMe),
+      type: type ? String(type) : undefined,
+      hasMedia: toBool(hasMedia),
+      since: toUnix(since),
+      until: toUnix(until),
+      limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+      offset: Math.max(parseInt(offset, 10) || 0, 0)
+    };
+    if (Number.isNaN(filters.since) || Number.isNaN(filters.until)) {
+      return res.status(400).json({ error: '"since"/"until" must be unix seconds or an ISO date' });
+    }
+
+    try {
+      res.json(chatManager.search(accountId, label, String(q), filters));
+    } catch (error) {
+      if (error.code === 'INVALID_QUERY') return res.status(400).json({ error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Send text (add `queue: true` or `sendAt` to go through the outbox, see outboxRoutes.js)
   router.post('/sessions/:accountId/:label/chats/:chatId/messages', async (req, res) => {
     const { accountId, label, chatId } = req.params;
-    const { content } = req.body;
+    const { content, quotedMessageId } = req.body;
     if (!content) return res.status(400).json({ error: 'Message content is required' });
+    const options = quotedMessageId ? { quotedMessageId } : {};
+    if (wantsQueue(req.body)) return enqueue(req, res, 'text', { content, options });
     try {
-      const message = await chatManager.sendMessage(accountId, label, chatId, content);
+      const message = await chatManager.sendMessage(accountId, label, chatId, content, options);
       res.json(message);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // Send media
+  // Send media (sendAsDocument / sendAsSticker to send it other than inline)
   router.post('/sessions/:accountId/:label/chats/:chatId/media', upload.single('media'), async (req, res) => {
     const { accountId, label, chatId } = req.params;
-    const { caption } = req.body;
+    const { caption, quotedMessageId, stickerName, stickerAuthor } = req.body;
     if (!req.file) return res.status(400).json({ error: 'Media file is required' });
+    const sendAsDocument = isTrue(req.body.sendAsDocument);
+    const sendAsSticker = isTrue(req.body.sendAsSticker);
+    if (sendAsDocument && sendAsSticker) {
+      return res.status(400).json({ error: 'Choose sendAsDocument or sendAsSticker, not both' });
+    }
+    const options = quotedMessageId ? { quotedMessageId } : {};
     try {
       const mediaData = {
         mimetype: req.file.mimetype,
-        data: req.file.buffer.toString('base64'),
         filename: req.file.originalname,
-        caption: caption || ''
+        caption: caption || '',
+        ...(sendAsDocument && { sendAsDocument }),
+        ...(sendAsSticker && { sendAsSticker, stickerName, stickerAuthor })
       };
-      const message = await chatManager.sendMedia(accountId, label, chatId, mediaData);
+      // Queued jobs outlive the request: the upload moves to the outbox spool
+      if (wantsQueue(req.body)) {
+        const spooled = await outboxManager.spoolUpload(req.file);
+        return enqueue(req, res, 'media', { mediaData: { ...mediaData, path: spooled }, options }, spooled);
+      }
+      mediaData.path = req.file.path;
+      const message = await chatManager.sendMedia(accountId, label, chatId, mediaData, options, { signal: abortOnClose(res) });
       res.json(message);
     } catch (error) {
+      if (error.code === 'CONVERSION_CANCELLED') return;
       console.error('Media upload error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(MEDIA_ERROR_STATUS[error.code] || 500).json({ error: error.message });
     }
   });
 
@@ -122,83 +237,72 @@ export function createChatRoutes(sessionManager, io) {
     if (req.file.size < 3000) return res.status(400).json({ error: 'Voice note too short — please record a bit longer.' });
 
     try {
-      const audioData = req.file.buffer.toString('base64');
       const originalMime = req.file.mimetype || 'audio/webm';
-      const message = await chatManager.sendVoiceNote(accountId, label, chatId, audioData, originalMime);
+      if (wantsQueue(req.body)) {
+        const spooled = await outboxManager.spoolUpload(req.file);
+        return enqueue(req, res, 'voice', { audioData: { path: spooled }, originalMime }, spooled);
+      }
+      const message = await chatManager.sendVoiceNote(
+        accountId, label, chatId, { path: req.file.path }, originalMime, { signal: abortOnClose(res) }
+      );
       res.json(message);
     } catch (error) {
+      if (error.code === 'CONVERSION_CANCELLED') return;
       console.error('Voice note upload error:', error);
-      res.status(500).json({ error: error.message });
+      res.status(MEDIA_ERROR_STATUS[error.code] || 500).json({ error: error.message });
     }
   });
 
-  // Download media (supports Range + disk/memory cache)
+  // Cache entry for a message's media; fetched once from WhatsApp and kept (older messages
+  // may vanish from WA). null when WhatsApp no longer has it.
+  const loadMedia = async (accountId, label, messageId) => {
+    const entry = await mediaCache.get(accountId, label, messageId);
+    if (entry) return entry;
+
+    let media;
+    try {
+      const downloaded = await chatManager.downloadMedia(accountId, label, messageId);
+      media = {
+        buffer: Buffer.from(downloaded.data, 'base64'),
+        mimetype: downloaded.mimetype,
+        filename: downloaded.filename || `media_${messageId}`
+      };
+    } catch (e) {
+      return null;
+    }
+    // Caching is best effort (e.g. disk full); the download itself succeeded
+    return mediaCache.set(accountId, label, messageId, media).catch((error) => {
+      sessionManager.log('ERROR', 'Failed to cache media', { accountId, label, messageId, error: error.message });
+      return memoryEntry(media.buffer, media);
+    });
+  };
+
+  // Download media (conditional requests and Range; streamed from the media cache when possible).
+  // ?variant=thumb&w=320&format=jpeg|webp for a still preview, ?variant=waveform for audio.
   router.get('/sessions/:accountId/:label/media/:messageId', async (req, res) => {
     const { accountId, label, messageId } = req.params;
+    // A preview nobody waits for any more is not worth converting
+    const gone = abortOnClose(res);
 
     try {
-      // 1) Memory cache?
-      let cached = getMem(messageId);
-
-      // 2) Disk cache?
-      if (!cached) {
-        const disk = loadFromDisk(messageId);
-        if (disk) {
-          cached = { buffer: disk.buffer, mimetype: disk.mimetype, filename: disk.filename };
-          setMem(messageId, cached);
-        }
-      }
+      const entry = req.query.variant
+        ? await mediaPreviews.get(
+          accountId, label, messageId, mediaPreviews.parse(req.query),
+          () => loadMedia(accountId, label, messageId), gone
+        )
+        : await loadMedia(accountId, label, messageId);
 
-      // 3) If still missing, fetch once from WhatsApp and cache both memory+disk
-      if (!cached) {
-        try {
-          const media = await chatManager.downloadMedia(accountId, label, messageId);
-          const buffer = Buffer.from(media.data, 'base64');
-          cached = { buffer, mimetype: media.mimetype, filename: media.filename || `media_${messageId}` };
-          setMem(messageId, cached);
-          // persist to disk for future (older messages may vanish from WA store)
-          saveToDisk(messageId, buffer, cached.mimetype, cached.filename);
-        } catch (e) {
-          // if not found in WA (older/expired), but we DO have disk cache → serve that
-          const disk = loadFromDisk(messageId);
-          if (disk) {
-            cached = { buffer: disk.buffer, mimetype: disk.mimetype, filename: disk.filename };
-            setMem(messageId, cached);
-          } else {
-            // Graceful: let the client know it's gone, not a server error
-            return res.status(410).json({ error: 'Media not available from WhatsApp (expired or not in recent history).' });
-          }
-        }
+      // Graceful: let the client know it's gone, not a server error
+      if (!entry) {
+        return res.status(410).json({ error: 'Media not available from WhatsApp (expired or not in recent history).' });
       }
-
-      const { buffer, mimetype, filename } = cached;
-      const size = buffer.length;
-
-      res.setHeader('Content-Type', mimetype);
-      res.setHeader('Accept-Ranges', 'bytes');
-
-      const range = req.headers.range;
-      if (range) {
-        const m = /^bytes=(\d*)-(\d*)$/.exec(range);
-        if (!m) return res.status(416).end();
-        const start = m[1] ? parseInt(m[1], 10) : 0;
-        const end   = m[2] ? Math.min(parseInt(m[2], 10), size - 1) : size - 1;
-        if (isNaN(start) || isNaN(end) || start > end || start >= size) return res.status(416).end();
-
-        const chunk = buffer.subarray(start, end + 1);
-        res.status(206);
-        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
-        res.setHeader('Content-Length', String(chunk.length));
-        res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
-        return res.end(chunk);
-      }
-
-      res.status(200);
-      res.setHeader('Content-Length', String(size));
-      res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
-      res.end(buffer);
+      await serveMedia(req, res, entry);
     } catch (error) {
+      if (error.code === 'CONVERSION_CANCELLED') return;
+      if (MEDIA_ERROR_STATUS[error.code]) return res.status(MEDIA_ERROR_STATUS[error.code]).json({ error: error.message });
       console.error('Media download route error:', error);
+      // Headers may be out already if the file went away mid-stream
+      if (res.headersSent) return res.destroy();
       res.status(500).json({ error: error.message });
     }
   });
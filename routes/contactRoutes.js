@@ -1,4 +1,5 @@
 import { Router } from 'express';
+import { getUpload, readUpload } from '../lib/utils/upload.js';
 
 export function createContactRoutes(sessionManager, io) {
   // io is accepted for consistency with your server wiring; not used here.
@@ -11,11 +12,30 @@ export function createContactRoutes(sessionManager, io) {
     throw new Error('ContactsManager not available on sessionManager. Please add getContactsManager().');
   }
 
+  const numberValidator = sessionManager.getNumberValidator();
+  const upload = getUpload();
+
+  const toBool = (v) => v === 'true' || v === '1' || v === true;
+
+  const statusOf = (err) => {
+    if (err.message === 'Session not found' || err.code === 'CONTACT_NOT_FOUND') return 404;
+    if (err.code === 'INVALID_CONTACT' || err.code === 'INVALID_NUMBERS') return 400;
+    if (err.code === 'ACTION_REJECTED' || err.code === 'SESSION_NOT_READY') return 409;
+    return 500;
+  };
+
   // GET /api/sessions/:accountId/:label/contacts
+  //   ?includeBusiness=true&includeGroups=true&includeUnsaved=true&q=maria
   router.get('/sessions/:accountId/:label/contacts', async (req, res) => {
     const { accountId, label } = req.params;
+    const { includeBusiness, includeGroups, includeUnsaved, q } = req.query;
     try {
-      const data = await contactsManager.listFilteredContacts(accountId, label);
+      const data = await contactsManager.listFilteredContacts(accountId, label, {
+        includeBusiness: toBool(includeBusiness),
+        includeGroups: toBool(includeGroups),
+        includeUnsaved: toBool(includeUnsaved),
+        q: q ? String(q) : undefined
+      });
       res.json(data);
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -36,5 +56,111 @@ export function createContactRoutes(sessionManager, io) {
     }
   });
 
+  // POST /api/sessions/:accountId/:label/contacts/validate
+  // JSON { numbers: [...], region?: 'BR', async?: true } or multipart `csv` (+ region/async fields).
+  // Lists above validation.syncLimit (or async: true) become a job: 202 + progress via `validation` events
+  const validateBase = '/sessions/:accountId/:label/contacts/validate';
+  router.post(validateBase, upload.single('csv'), async (req, res) => {
+    const { accountId, label } = req.params;
+    const { region } = req.body || {};
+    let { numbers } = req.body || {};
+
+    if (req.file) {
+      try {
+        numbers = numberValidator.parseCsvNumbers(await readUpload(req.file, 'utf8'));
+      } catch (err) {
+        return res.status(400).json({ error: `Invalid CSV: ${err.message}` });
+      }
+    } else if (typeof numbers === 'string') {
+      numbers = numbers.split(/[\n,;]+/).map(n => n.trim()).filter(Boolean);
+    }
+
+    const options = { region: region ? String(region).toUpperCase() : undefined };
+    try {
+      if (toBool(req.body?.async) || (Array.isArray(numbers) && numbers.length > sessionManager.config.validation.syncLimit)) {
+        return res.status(202).json(numberValidator.createJob(accountId, label, numbers, options));
+      }
+      res.json(await numberValidator.validate(accountId, label, numbers, options));
+    } catch (err) {
+      res.status(statusOf(err)).json({ error: err.message });
+    }
+  });
+
+  router.get(`${validateBase}/jobs`, (req, res) => {
+    const { accountId, label } = req.params;
+    res.json(numberValidator.listJobs(accountId, label, { limit: req.query.limit }));
+  });
+
+  router.get(`${validateBase}/jobs/:jobId`, (req, res) => {
+    const { accountId, label, jobId } = req.params;
+    const job = numberValidator.getJob(accountId, label, jobId);
+    if (!job) return res.status(404).json({ error: 'Validation job not found' });
+    res.json(job);
+  });
+
+  // Result file: ?format=csv (default) | json
+  router.get(`${validateBase}/jobs/:jobId/result`, (req, res) => {
+    const { accountId, label, jobId } = req.params;
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const file = numberValidator.exportResults(accountId, label, jobId, format);
+    if (!file) return res.status(404).json({ error: 'Validation job not found' });
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  });
+
+  router.delete(`${validateBase}/jobs/:jobId`, (req, res) => {
+    const { accountId, label, jobId } = req.params;
+    const job = numberValidator.cancelJob(accountId, label, jobId);
+    if (!job) return res.status(404).json({ error: 'Validation job not found' });
+    res.json(job);
+  });
+
+  // GET /api/sessions/:accountId/:label/contacts/blocked
+  router.get('/sessions/:accountId/:label/contacts/blocked', async (req, res) => {
+    const { accountId, label } = req.params;
+    try {
+      res.json(await contactsManager.listBlocked(accountId, label));
+    } catch (err) {
+      res.status(statusOf(err)).json({ error: err.message });
+    }
+  });
+
+  // GET /api/sessions/:accountId/:label/contacts/:contactId (number or ID)
+  router.get('/sessions/:accountId/:label/contacts/:contactId', async (req, res) => {
+    const { accountId, label, contactId } = req.params;
+    try {
+      res.json(await contactsManager.getContactDetails(accountId, label, contactId));
+    } catch (err) {
+      res.status(statusOf(err)).json({ error: err.message });
+    }
+  });
+
+  // GET /api/sessions/:accountId/:label/contacts/:contactId/avatar (image, cached for a day)
+  router.get('/sessions/:accountId/:label/contacts/:contactId/avatar', async (req, res) => {
+    const { accountId, label, contactId } = req.params;
+    try {
+      const avatar = await contactsManager.getAvatar(accountId, label, contactId);
+      res.setHeader('Content-Type', avatar.mimetype);
+      res.setHeader('Cache-Control', 'private, max-age=3600');
+      res.setHeader('X-Cache', avatar.cached ? 'HIT' : 'MISS');
+      res.send(avatar.buffer);
+    } catch (err) {
+      res.status(statusOf(err)).json({ error: err.message });
+    }
+  });
+
+  // POST / DELETE /api/sessions/:accountId/:label/contacts/:contactId/block
+  for (const [method, blocked] of [['post', true], ['delete', false]]) {
+    router[method]('/sessions/:accountId/:label/contacts/:contactId/block', async (req, res) => {
+      const { accountId, label, contactId } = req.params;
+      try {
+        res.json(await contactsManager.setBlocked(accountId, label, contactId, blocked));
+      } catch (err) {
+        res.status(statusOf(err)).json({ error: err.message });
+      }
+    });
+  }
+
   return router;
 }
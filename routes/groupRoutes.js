@@ -0,0 +1,73 @@
+import { Router } from 'express';
+import { getUpload, readUpload } from '../lib/utils/upload.js';
+
+export function createGroupRoutes(sessionManager) {
+  const router = Router();
+  const groupManager = sessionManager.getGroupManager();
+  const upload = getUpload();
+
+  const base = '/sessions/:accountId/:label/groups';
+  const group = `${base}/:groupId`;
+
+  // Run a GroupManager call with (accountId, label, req) and map its errors
+  const action = (handler, status = 200) => async (req, res) => {
+    const { accountId, label } = req.params;
+    try {
+      res.status(status).json(await handler(accountId, label, req));
+    } catch (error) {
+      if (error.message === 'Session not found' || error.code === 'GROUP_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.code === 'INVALID_GROUP_REQUEST') return res.status(400).json({ error: error.message });
+      if (error.code === 'ACTION_REJECTED') return res.status(409).json({ error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.get(base, action((a, l) => groupManager.listGroups(a, l)));
+
+  // { name, participants: ['5511999999999', '5511888888888@c.us'] }
+  router.post(base, action((a, l, req) => groupManager.createGroup(a, l, req.body), 201));
+
+  // { inviteCode } (code or https://chat.whatsapp.com/<code>)
+  router.post(`${base}/join`, action((a, l, req) => groupManager.joinByInvite(a, l, req.body.inviteCode)));
+
+  router.get(group, action((a, l, req) => groupManager.getGroup(a, l, req.params.groupId)));
+
+  // { subject?, description?, messagesAdminsOnly?, infoAdminsOnly? }
+  router.put(group, action((a, l, req) => groupManager.updateGroup(a, l, req.params.groupId, req.body)));
+
+  router.post(`${group}/leave`, action((a, l, req) => groupManager.leaveGroup(a, l, req.params.groupId)));
+
+  // Participants: { participants: [...] }
+  router.get(`${group}/participants`, action((a, l, req) => groupManager.getParticipants(a, l, req.params.groupId)));
+  router.post(`${group}/participants`, action((a, l, req) => (
+    groupManager.addParticipants(a, l, req.params.groupId, req.body.participants)
+  )));
+  router.post(`${group}/participants/remove`, action((a, l, req) => (
+    groupManager.removeParticipants(a, l, req.params.groupId, req.body.participants)
+  )));
+  router.post(`${group}/participants/promote`, action((a, l, req) => (
+    groupManager.promoteParticipants(a, l, req.params.groupId, req.body.participants)
+  )));
+  router.post(`${group}/participants/demote`, action((a, l, req) => (
+    groupManager.demoteParticipants(a, l, req.params.groupId, req.body.participants)
+  )));
+
+  // Picture: multipart `picture` file
+  router.put(`${group}/picture`, upload.single('picture'), (req, res, next) => {
+    if (!req.file) return res.status(400).json({ error: 'Picture file is required' });
+    if (!req.file.mimetype.startsWith('image/')) return res.status(400).json({ error: 'Picture must be an image' });
+    next();
+  }, action(async (a, l, req) => groupManager.setPicture(a, l, req.params.groupId, {
+    mimetype: req.file.mimetype,
+    data: await readUpload(req.file, 'base64')
+  })));
+  router.delete(`${group}/picture`, action((a, l, req) => groupManager.deletePicture(a, l, req.params.groupId)));
+
+  // Invite link
+  router.get(`${group}/invite`, action((a, l, req) => groupManager.getInvite(a, l, req.params.groupId)));
+  router.delete(`${group}/invite`, action((a, l, req) => groupManager.revokeInvite(a, l, req.params.groupId)));
+
+  return router;
+}
@@ -0,0 +1,81 @@
+import { Router } from 'express';
+
+export function createMessageRoutes(sessionManager) {
+  const router = Router();
+  const chatManager = sessionManager.getChatManager();
+  const ackManager = sessionManager.getAckManager();
+
+  const base = '/sessions/:accountId/:label/messages/:messageId';
+
+  const statusOf = (error) => {
+    if (error.message === 'Session not found' || error.code === 'MESSAGE_NOT_FOUND') return 404;
+    if (error.code === 'ACTION_REJECTED') return 409;
+    return 500;
+  };
+
+  // Run a ChatManager message action and map its errors
+  const action = (handler) => async (req, res) => {
+    try {
+      res.json(await handler(req));
+    } catch (error) {
+      res.status(statusOf(error)).json({ error: error.message });
+    }
+  };
+
+  // Delivery/read receipts of a message sent through this API
+  router.get(`${base}/status`, (req, res) => {
+    const { accountId, label, messageId } = req.params;
+    const status = ackManager.getStatus(accountId, label, messageId);
+    if (!status) return res.status(404).json({ error: 'No receipts tracked for this message' });
+    res.json(status);
+  });
+
+  // Reply quoting the message: { content }
+  router.post(`${base}/reply`, (req, res, next) => {
+    if (!req.body.content) return res.status(400).json({ error: 'Message content is required' });
+    next();
+  }, action(({ params, body }) => (
+    chatManager.replyToMessage(params.accountId, params.label, params.messageId, body.content)
+  )));
+
+  // React: { emoji } ('' removes the reaction)
+  router.post(`${base}/react`, (req, res, next) => {
+    if (typeof req.body.emoji !== 'string') return res.status(400).json({ error: 'emoji is required (empty string to remove)' });
+    next();
+  }, action(({ params, body }) => (
+    chatManager.reactToMessage(params.accountId, params.label, params.messageId, body.emoji)
+  )));
+
+  // Forward to another chat: { chatId }
+  router.post(`${base}/forward`, (req, res, next) => {
+    if (!req.body.chatId) return res.status(400).json({ error: 'chatId is required' });
+    next();
+  }, action(({ params, body }) => (
+    chatManager.forwardMessage(params.accountId, params.label, params.messageId, body.chatId)
+  )));
+
+  router.post(`${base}/star`, action(({ params }) => (
+    chatManager.starMessage(params.accountId, params.label, params.messageId, true)
+  )));
+
+  router.delete(`${base}/star`, action(({ params }) => (
+    chatManager.starMessage(params.accountId, params.label, params.messageId, false)
+  )));
+
+  // Edit our own recent message: { content }
+  router.post(`${base}/edit`, (req, res, next) => {
+    if (!req.body.content) return res.status(400).json({ error: 'Message content is required' });
+    next();
+  }, action(({ params, body }) => (
+    chatManager.editMessage(params.accountId, params.label, params.messageId, body.content)
+  )));
+
+  // Delete for me (default) or for everyone (?forEveryone=true or { forEveryone: true })
+  router.delete(base, action(({ params, query, body }) => {
+    const flag = body?.forEveryone ?? query.forEveryone;
+    const forEveryone = flag === true || flag === 'true';
+    return chatManager.deleteMessage(params.accountId, params.label, params.messageId, { forEveryone });
+  }));
+
+  return router;
+}
@@ -0,0 +1,65 @@
+import { Router } from 'express';
+
+export function createOutboxRoutes(sessionManager) {
+  const router = Router();
+  const outboxManager = sessionManager.getOutboxManager();
+
+  const base = '/sessions/:accountId/:label/outbox';
+
+  // List jobs: ?status=queued|sending|sent|failed|cancelled&limit=50
+  router.get(base, (req, res) => {
+    const { accountId, label } = req.params;
+    const { status, limit } = req.query;
+    res.json(outboxManager.listJobs(accountId, label, { status, limit }));
+  });
+
+  // Queue a text message: { chatId, content, sendAt? }
+  router.post(base, (req, res) => {
+    const { accountId, label } = req.params;
+    const { chatId, content, sendAt } = req.body || {};
+    if (!chatId || !content) return res.status(400).json({ error: 'chatId and content are required' });
+    try {
+      const job = outboxManager.enqueue(accountId, label, chatId, 'text', { content }, { sendAt });
+      res.status(202).json(job);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Pacing settings: { messagesPerMinute, jitterMs }
+  router.get(`${base}/settings`, (req, res) => {
+    const { accountId, label } = req.params;
+    res.json(outboxManager.getSettings(accountId, label));
+  });
+
+  router.put(`${base}/settings`, (req, res) => {
+    const { accountId, label } = req.params;
+    try {
+      res.json(outboxManager.updateSettings(accountId, label, req.body || {}));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get(`${base}/:jobId`, (req, res) => {
+    const { accountId, label, jobId } = req.params;
+    const job = outboxManager.getJob(accountId, label, jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  });
+
+  // Cancel a job that has not been sent yet
+  router.delete(`${base}/:jobId`, (req, res) => {
+    const { accountId, label, jobId } = req.params;
+    try {
+      const job = outboxManager.cancelJob(accountId, label, jobId);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json(job);
+    } catch (error) {
+      if (error.code === 'JOB_NOT_CANCELLABLE') return res.status(409).json({ error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
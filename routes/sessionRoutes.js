@@ -1,40 +1,77 @@
 import { Router } from 'express';
 
 
-export function createSessionRoutes(sessionManager, io) {
+export function createSessionRoutes(sessionManager, io, authManager) {
   const router = Router();
 
+  // Narrow session listings to what the caller's credential may access
+  const visible = (req, sessions) => authManager ? authManager.filterSessions(req.auth, sessions) : sessions;
+
   // Get all active sessions
   router.get('/sessions', (req, res) => {
-    res.json(sessionManager.getAllSessions());
+    res.json(visible(req, sessionManager.getAllSessions()));
   });
 
-  // Get detected sessions (from filesystem)
-  router.get('/sessions/detected', (req, res) => {
-    res.json(sessionManager.detectSessions());
+  // Get detected sessions (from the session storage backend)
+  router.get('/sessions/detected', async (req, res) => {
+    res.json(visible(req, await sessionManager.detectSessions()));
   });
 
-  // Initialize a session with WebSocket QR streaming
+  // Initialize a session with WebSocket QR streaming.
+  // With { phoneNumber } the session logs in with a pairing code instead (pairing_code events)
   router.post('/sessions/init', async (req, res) => {
-    const { accountId, label } = req.body;
+    const { accountId, label, phoneNumber } = req.body;
     
     if (!accountId || !label) {
       return res.status(400).json({ error: 'accountId and label are required' });
     }
     
     try {
-      const result = await sessionManager.initSession(accountId, label);
+      const result = await sessionManager.initSession(accountId, label, { phoneNumber: phoneNumber || null });
       
       res.json({
         ...result,
-        message: 'Session initialized. Connect to WebSocket to receive QR codes and status updates.',
+        loginMethod: phoneNumber ? 'pairing_code' : 'qr',
+        message: phoneNumber
+          ? 'Session initialized. Enter the pairing code (sent over WebSocket) on the phone: Linked devices > Link with phone number.'
+          : 'Session initialized. Connect to WebSocket to receive QR codes and status updates.',
         websocketEvents: [
-          `qr:${accountId}:${label}`,
+          phoneNumber ? `pairing_code:${accountId}:${label}` : `qr:${accountId}:${label}`,
           `status:${accountId}:${label}`,
           `message:${accountId}:${label}`
         ]
       });
     } catch (error) {
+      if (error.code === 'SESSION_LIMIT') return res.status(503).json({ error: error.message });
+      if (error.code === 'INVALID_PHONE_NUMBER') return res.status(400).json({ error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Current pairing code: ?accountId=&label=
+  router.get('/sessions/pairing-code', (req, res) => {
+    const { accountId, label } = req.query;
+    if (!accountId || !label) {
+      return res.status(400).json({ error: 'accountId and label are required' });
+    }
+    const pairing = sessionManager.getPairingCode(accountId, label);
+    if (!pairing) return res.status(404).json({ error: 'No valid pairing code; request a new one' });
+    res.json({ accountId, label, ...pairing });
+  });
+
+  // Replace the pairing code now: { accountId, label, phoneNumber? }
+  router.post('/sessions/pairing-code', async (req, res) => {
+    const { accountId, label, phoneNumber } = req.body;
+    if (!accountId || !label) {
+      return res.status(400).json({ error: 'accountId and label are required' });
+    }
+    try {
+      const pairing = await sessionManager.requestPairingCode(accountId, label, phoneNumber ? sessionManager.pairingNumber(phoneNumber) : null);
+      res.json({ accountId, label, ...pairing });
+    } catch (error) {
+      if (error.message === 'Session not found') return res.status(404).json({ error: error.message });
+      if (error.code === 'INVALID_PHONE_NUMBER') return res.status(400).json({ error: error.message });
+      if (error.code === 'ACTION_REJECTED') return res.status(409).json({ error: error.message });
       res.status(500).json({ error: error.message });
     }
   });
@@ -61,7 +98,7 @@ export function createSessionRoutes(sessionManager, io) {
   // Restore all detected sessions
   router.post('/sessions/restore-all', async (req, res) => {
     try {
-      const detectedSessions = sessionManager.detectSessions();
+      const detectedSessions = visible(req, await sessionManager.detectSessions());
       const results = [];
       
       for (const session of detectedSessions) {
@@ -108,6 +145,38 @@ export function createSessionRoutes(sessionManager, io) {
     }
   });
 
+  // Close an idle session's browser, keeping its auth (woken again on the next request)
+  router.post('/sessions/hibernate', async (req, res) => {
+    const { accountId, label } = req.body;
+    
+    if (!accountId || !label) {
+      return res.status(400).json({ error: 'accountId and label are required' });
+    }
+    
+    try {
+      res.json(await sessionManager.hibernateSession(accountId, label));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Wake a hibernated session and wait until it is ready
+  router.post('/sessions/wake', async (req, res) => {
+    const { accountId, label } = req.body;
+    
+    if (!accountId || !label) {
+      return res.status(400).json({ error: 'accountId and label are required' });
+    }
+    
+    try {
+      res.json(await sessionManager.wakeSession(accountId, label));
+    } catch (error) {
+      if (error.code === 'SESSION_NOT_FOUND') return res.status(404).json({ error: error.message });
+      if (error.code === 'SESSION_NOT_HIBERNATED') return res.status(409).json({ error: error.message });
+      res.status(503).json({ error: error.message });
+    }
+  });
+
   // Get session status
   router.get('/sessions/status', (req, res) => {
     const { accountId, label } = req.query;
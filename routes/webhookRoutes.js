@@ -0,0 +1,102 @@
+import { Router } from 'express';
+
+export function createWebhookRoutes(sessionManager) {
+  const router = Router();
+  const webhookManager = sessionManager.getWebhookManager();
+
+  const base = '/sessions/:accountId/:label/webhooks';
+
+  // List webhooks for a session
+  router.get(base, (req, res) => {
+    const { accountId, label } = req.params;
+    res.json(webhookManager.listWebhooks(accountId, label));
+  });
+
+  // Register a webhook: { url, secret?, events?: ['qr'|'status'|'message'|'session_destroyed'|'*'], active? }
+  router.post(base, (req, res) => {
+    const { accountId, label } = req.params;
+    try {
+      const webhook = webhookManager.createWebhook(accountId, label, req.body || {});
+      res.status(201).json(webhook);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get(`${base}/:webhookId`, (req, res) => {
+    const { accountId, label, webhookId } = req.params;
+    const webhook = webhookManager.getWebhook(accountId, label, webhookId);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhook);
+  });
+
+  router.put(`${base}/:webhookId`, (req, res) => {
+    const { accountId, label, webhookId } = req.params;
+    try {
+      const webhook = webhookManager.updateWebhook(accountId, label, webhookId, req.body || {});
+      if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+      res.json(webhook);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete(`${base}/:webhookId`, (req, res) => {
+    const { accountId, label, webhookId } = req.params;
+    if (!webhookManager.deleteWebhook(accountId, label, webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ id: webhookId, deleted: true });
+  });
+
+  // Send a test `ping` delivery
+  router.post(`${base}/:webhookId/test`, (req, res) => {
+    const { accountId, label, webhookId } = req.params;
+    const deliveryId = webhookManager.ping(accountId, label, webhookId);
+    if (!deliveryId) return res.status(404).json({ error: 'Webhook not found' });
+    res.status(202).json({ deliveryId });
+  });
+
+  // Delivery log: ?status=pending|success|dead&limit=50
+  router.get(`${base}/:webhookId/deliveries`, (req, res) => {
+    const { accountId, label, webhookId } = req.params;
+    if (!webhookManager.getWebhook(accountId, label, webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const { status, limit } = req.query;
+    res.json(webhookManager.listDeliveries(webhookId, { status, limit }));
+  });
+
+  // Dead-letter queue (deliveries that exhausted their retries)
+  router.get(`${base}/:webhookId/dead-letters`, (req, res) => {
+    const { accountId, label, webhookId } = req.params;
+    if (!webhookManager.getWebhook(accountId, label, webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhookManager.listDeliveries(webhookId, { status: 'dead', limit: req.query.limit }));
+  });
+
+  router.get(`${base}/:webhookId/deliveries/:deliveryId`, (req, res) => {
+    const { accountId, label, webhookId, deliveryId } = req.params;
+    if (!webhookManager.getWebhook(accountId, label, webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const delivery = webhookManager.getDelivery(webhookId, deliveryId);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+  });
+
+  // Re-queue a dead-lettered delivery
+  router.post(`${base}/:webhookId/deliveries/:deliveryId/redeliver`, (req, res) => {
+    const { accountId, label, webhookId, deliveryId } = req.params;
+    if (!webhookManager.getWebhook(accountId, label, webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!webhookManager.redeliver(webhookId, deliveryId)) {
+      return res.status(409).json({ error: 'Delivery not found in dead-letter queue' });
+    }
+    res.status(202).json({ deliveryId, status: 'pending' });
+  });
+
+  return router;
+}